@@ -0,0 +1,55 @@
+// Asset loading: queue every file up front, then load them all behind one promise
+class AssetLoader {
+    constructor() {
+        this.queue = [];
+        this.failed = [];
+        this.loadedCount = 0;
+    }
+
+    // Queue an image; the returned Image can be stored right away and is usable once load() resolves
+    image(url, label = url) {
+        const img = new Image();
+        this.queue.push({ label, url, asset: img });
+        return img;
+    }
+
+    get total() {
+        return this.queue.length;
+    }
+
+    // Resolves (never rejects) once every queued asset has loaded or failed.
+    // onProgress(loaded, total) fires after each asset settles.
+    load(onProgress = () => {}) {
+        onProgress(0, this.total);
+
+        const pending = this.queue.map(entry => this.loadEntry(entry).then(ok => {
+            this.loadedCount++;
+            if (!ok) {
+                this.failed.push(entry.label);
+            }
+            onProgress(this.loadedCount, this.total);
+        }));
+
+        return Promise.all(pending).then(() => ({
+            loaded: this.loadedCount - this.failed.length,
+            failed: this.failed.slice()
+        }));
+    }
+
+    loadEntry(entry) {
+        return new Promise(resolve => {
+            const img = entry.asset;
+            img.onload = () => resolve(true);
+            img.onerror = () => {
+                console.error(`❌ Failed to load: ${entry.label}`);
+                resolve(false);
+            };
+            img.src = entry.url;
+        });
+    }
+
+    // A loaded image has real pixels; a broken one can't be passed to drawImage
+    static isUsable(img) {
+        return Boolean(img && img.complete && img.naturalWidth > 0);
+    }
+}
@@ -0,0 +1,267 @@
+// Sound cues. The defaults are synthesized so the game needs no audio files:
+//   wave   - oscillator type (sine, square, sawtooth, triangle)
+//   notes  - [frequency in Hz, seconds] played one after another
+//   slide  - glide between notes instead of stepping
+//   volume - 0-1, before the SFX volume is applied
+// A character manifest can override any cue under "sounds" with another synth definition
+// or a path to an audio file (relative to the manifest), e.g. "hit": "ouch.mp3".
+const SoundCues = {
+    catch: { wave: 'triangle', notes: [[660, 0.05], [990, 0.09]], volume: 0.4 },
+    hit: { wave: 'square', notes: [[260, 0.08], [120, 0.18]], slide: true, volume: 0.3 },
+    powerUp: { wave: 'sine', notes: [[520, 0.06], [780, 0.06], [1040, 0.12]], volume: 0.4 },
+    levelUp: { wave: 'triangle', notes: [[523, 0.1], [659, 0.1], [784, 0.1], [1047, 0.3]], volume: 0.45 },
+    gameOver: { wave: 'sawtooth', notes: [[392, 0.3], [330, 0.3], [262, 0.3], [196, 0.8]], slide: true, volume: 0.3 },
+    click: { wave: 'sine', notes: [[1200, 0.03]], volume: 0.25 }
+};
+
+// Background loop, rendered once into a buffer when no manifest "music" file is given.
+// Each step is an eighth note; 0 is a rest.
+const MusicLoop = {
+    tempo: 132, // beats per minute
+    bass: [131, 0, 131, 0, 175, 0, 175, 0, 196, 0, 196, 0, 175, 0, 165, 0],
+    melody: [523, 659, 784, 659, 698, 880, 698, 0, 784, 988, 784, 659, 698, 659, 587, 0]
+};
+
+const DEFAULT_AUDIO_SETTINGS = {
+    musicVolume: 0.4,
+    sfxVolume: 0.8,
+    muted: false
+};
+
+// Web Audio mixer: cues and music go through their own gain nodes into a master gain.
+// Browsers only allow audio after a user gesture, so nothing is created until unlock().
+class SoundManager {
+    constructor(settingsKey = 'fallingFoodAudio') {
+        this.settingsKey = settingsKey;
+        this.settings = this.loadSettings();
+        this.cues = { ...SoundCues };
+        this.musicUrl = null;
+        this.context = null;
+        this.buffers = new Map(); // url -> decoded AudioBuffer
+        this.musicBuffer = null;
+        this.musicSource = null;
+        this.musicWanted = false;
+        this.silenced = false; // set while skipping through a replay
+    }
+
+    static isSupported() {
+        return typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined';
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.settingsKey) || '{}');
+            return {
+                musicVolume: this.clampVolume(saved.musicVolume, DEFAULT_AUDIO_SETTINGS.musicVolume),
+                sfxVolume: this.clampVolume(saved.sfxVolume, DEFAULT_AUDIO_SETTINGS.sfxVolume),
+                muted: saved.muted === true
+            };
+        } catch (error) {
+            return { ...DEFAULT_AUDIO_SETTINGS };
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    clampVolume(value, fallback) {
+        return typeof value === 'number' && isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+    }
+
+    // Character overrides; resolvePath turns manifest-relative file paths into URLs
+    setCharacterSounds(sounds = {}, music = null, resolvePath = path => path) {
+        this.cues = { ...SoundCues };
+        Object.entries(sounds).forEach(([name, cue]) => {
+            this.cues[name] = typeof cue === 'string' ? { url: resolvePath(cue) } : cue;
+        });
+        this.musicUrl = music ? resolvePath(music) : null;
+
+        if (this.context) {
+            this.loadSamples();
+        }
+    }
+
+    // Call from a user gesture (tap, click, key). Safe to call repeatedly.
+    unlock() {
+        if (!SoundManager.isSupported()) return;
+
+        if (!this.context) {
+            const AudioContextClass = typeof AudioContext !== 'undefined' ? AudioContext : webkitAudioContext;
+            this.context = new AudioContextClass();
+
+            this.masterGain = this.context.createGain();
+            this.musicGain = this.context.createGain();
+            this.sfxGain = this.context.createGain();
+            this.musicGain.connect(this.masterGain);
+            this.sfxGain.connect(this.masterGain);
+            this.masterGain.connect(this.context.destination);
+            this.applyVolumes();
+
+            console.log('🔊 Audio unlocked');
+            this.loadSamples();
+        }
+
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // Fetch and decode every file-based cue plus the music; failures fall back to the synth defaults
+    async loadSamples() {
+        const urls = Object.values(this.cues).filter(cue => cue.url).map(cue => cue.url);
+        await Promise.all(urls.map(url => this.loadBuffer(url)));
+
+        if (this.musicUrl) {
+            this.musicBuffer = await this.loadBuffer(this.musicUrl);
+        }
+        if (!this.musicBuffer) {
+            this.musicBuffer = await this.renderMusicLoop();
+        }
+        if (this.musicWanted) {
+            this.startMusicSource();
+        }
+    }
+
+    async loadBuffer(url) {
+        if (this.buffers.has(url)) return this.buffers.get(url);
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const buffer = await this.context.decodeAudioData(await response.arrayBuffer());
+            this.buffers.set(url, buffer);
+            return buffer;
+        } catch (error) {
+            console.warn(`🔇 Couldn't load sound ${url}:`, error);
+            this.buffers.set(url, null);
+            return null;
+        }
+    }
+
+    play(name) {
+        if (!this.context || this.settings.muted || this.silenced) return;
+
+        let cue = this.cues[name];
+        if (cue && cue.url) {
+            const buffer = this.buffers.get(cue.url);
+            if (buffer) {
+                const source = this.context.createBufferSource();
+                source.buffer = buffer;
+                source.connect(this.sfxGain);
+                source.start();
+                return;
+            }
+            // File not loaded (yet) - use the built-in cue of the same name
+            cue = SoundCues[name];
+        }
+        if (!cue) return;
+
+        this.playTone(cue, this.sfxGain, this.context.currentTime);
+    }
+
+    // Schedule a synth cue on any context (the live one, or an offline one for the music loop)
+    playTone(cue, destination, startTime) {
+        const context = destination.context;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        const duration = cue.notes.reduce((total, [, seconds]) => total + seconds, 0);
+        const volume = cue.volume === undefined ? 0.5 : cue.volume;
+
+        oscillator.type = cue.wave || 'sine';
+        let time = startTime;
+        cue.notes.forEach(([frequency, seconds], index) => {
+            if (cue.slide && index > 0) {
+                oscillator.frequency.exponentialRampToValueAtTime(frequency, time + seconds);
+            } else {
+                oscillator.frequency.setValueAtTime(frequency, time);
+            }
+            time += seconds;
+        });
+
+        // Short attack and release so notes don't click
+        envelope.gain.setValueAtTime(0, startTime);
+        envelope.gain.linearRampToValueAtTime(volume, startTime + 0.01);
+        envelope.gain.setValueAtTime(volume, startTime + duration - 0.02);
+        envelope.gain.linearRampToValueAtTime(0, startTime + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+    }
+
+    async renderMusicLoop() {
+        if (typeof OfflineAudioContext === 'undefined') return null;
+
+        const step = 60 / MusicLoop.tempo / 2;
+        const length = step * MusicLoop.melody.length;
+        const sampleRate = this.context.sampleRate;
+        const offline = new OfflineAudioContext(1, Math.ceil(length * sampleRate), sampleRate);
+
+        MusicLoop.bass.forEach((frequency, index) => {
+            if (frequency) {
+                this.playTone({ wave: 'triangle', notes: [[frequency, step * 0.9]], volume: 0.5 }, offline.destination, index * step);
+            }
+        });
+        MusicLoop.melody.forEach((frequency, index) => {
+            if (frequency) {
+                this.playTone({ wave: 'square', notes: [[frequency, step * 0.6]], volume: 0.12 }, offline.destination, index * step);
+            }
+        });
+
+        try {
+            return await offline.startRendering();
+        } catch (error) {
+            console.warn('🔇 Couldn\'t render music loop:', error);
+            return null;
+        }
+    }
+
+    // Music keeps its place in the loop only while playing; it restarts from the top after a stop
+    setMusicPlaying(playing) {
+        this.musicWanted = playing;
+        if (playing) {
+            this.startMusicSource();
+        } else if (this.musicSource) {
+            this.musicSource.stop();
+            this.musicSource = null;
+        }
+    }
+
+    startMusicSource() {
+        if (!this.context || !this.musicBuffer || this.musicSource) return;
+
+        this.musicSource = this.context.createBufferSource();
+        this.musicSource.buffer = this.musicBuffer;
+        this.musicSource.loop = true;
+        this.musicSource.connect(this.musicGain);
+        this.musicSource.start();
+    }
+
+    setMusicVolume(volume) {
+        this.settings.musicVolume = this.clampVolume(volume, this.settings.musicVolume);
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    setSfxVolume(volume) {
+        this.settings.sfxVolume = this.clampVolume(volume, this.settings.sfxVolume);
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        this.applyVolumes();
+        this.saveSettings();
+        return this.settings.muted;
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        this.masterGain.gain.value = this.settings.muted ? 0 : 1;
+        this.musicGain.gain.value = this.settings.musicVolume;
+        this.sfxGain.gain.value = this.settings.sfxVolume;
+    }
+}
@@ -0,0 +1,89 @@
+// Pixel-accurate collision. Each sprite frame and food image gets a coarse alpha mask once at
+// load time; a catch or hit needs an opaque cell of the player and of the food in the same spot,
+// so transparent padding around the art never counts.
+const MASK_RESOLUTION = 32; // mask cells across and down a sprite (it's stretched like the sprite)
+const MASK_ALPHA_THRESHOLD = 64; // 0-255; fainter pixels (soft edges, glows) don't collide
+
+class AlphaMask {
+    constructor(columns, rows, cells) {
+        this.columns = columns;
+        this.rows = rows;
+        this.cells = cells; // Uint8Array, 1 where the sprite is solid
+    }
+
+    // Mask of a source rect of an image, or null if the pixels can't be read
+    // (e.g. a canvas tainted by images from another origin); callers fall back to boxes
+    static fromImage(image, x = 0, y = 0, width = image.naturalWidth || image.width, height = image.naturalHeight || image.height,
+        columns = MASK_RESOLUTION, rows = MASK_RESOLUTION) {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = columns;
+            canvas.height = rows;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, x, y, width, height, 0, 0, columns, rows);
+
+            const pixels = ctx.getImageData(0, 0, columns, rows).data;
+            const cells = new Uint8Array(columns * rows);
+            for (let i = 0; i < cells.length; i++) {
+                cells[i] = pixels[i * 4 + 3] >= MASK_ALPHA_THRESHOLD ? 1 : 0;
+            }
+            return new AlphaMask(columns, rows, cells);
+        } catch (error) {
+            if (!AlphaMask.warned) {
+                console.warn('⚠️ Couldn\'t read sprite pixels, colliding with boxes instead:', error.name || error);
+                AlphaMask.warned = true;
+            }
+            return null;
+        }
+    }
+
+    // Is the world point (px, py) solid for this mask drawn into box { x, y, width, height, flipX }?
+    solidAt(box, px, py) {
+        let u = (px - box.x) / box.width;
+        const v = (py - box.y) / box.height;
+        if (u < 0 || u >= 1 || v < 0 || v >= 1) return false;
+        if (box.flipX) u = 1 - u - 1e-9;
+
+        return this.cells[Math.floor(v * this.rows) * this.columns + Math.floor(u * this.columns)] === 1;
+    }
+
+    // Do two masked sprites overlap anywhere inside region { x, y, width, height }?
+    // Samples the region at the finer of the two masks' cell sizes.
+    static overlap(maskA, boxA, maskB, boxB, region) {
+        const step = Math.max(1, Math.min(
+            boxA.width / maskA.columns, boxA.height / maskA.rows,
+            boxB.width / maskB.columns, boxB.height / maskB.rows
+        ));
+
+        for (let py = region.y + step / 2; py < region.y + region.height; py += step) {
+            for (let px = region.x + step / 2; px < region.x + region.width; px += step) {
+                if (maskA.solidAt(boxA, px, py) && maskB.solidAt(boxB, px, py)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Debug view: fill the solid cells
+    draw(ctx, box, color) {
+        const cellWidth = box.width / this.columns;
+        const cellHeight = box.height / this.rows;
+
+        ctx.fillStyle = color;
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                if (!this.cells[row * this.columns + column]) continue;
+                const drawColumn = box.flipX ? this.columns - 1 - column : column;
+                ctx.fillRect(box.x + drawColumn * cellWidth, box.y + row * cellHeight, cellWidth, cellHeight);
+            }
+        }
+    }
+}
+
+AlphaMask.warned = false; // the same failure repeats for every image, so say it once
+
+// Loaded by the Node tests too (masks themselves need a canvas, so there they stay null)
+if (typeof module !== 'undefined') {
+    module.exports = { AlphaMask, MASK_RESOLUTION, MASK_ALPHA_THRESHOLD };
+}
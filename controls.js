@@ -0,0 +1,26 @@
+// Touch control modes for phones and tablets, picked on the menu
+//   buttons - the on-screen ◀ ▲ ▶ buttons
+//   drag    - the player follows your finger; swipe up to jump
+//   tilt    - tilt the device to run; tap the screen to jump
+const ControlModes = {
+    buttons: {
+        label: '🔘 Buttons'
+    },
+    drag: {
+        label: '👆 Drag',
+        smoothing: 12, // how fast the player closes the gap to the finger (per second)
+        swipeDistance: 40 // pixels upward that count as a jump swipe
+    },
+    tilt: {
+        label: '📱 Tilt',
+        deadZone: 3, // degrees of tilt ignored around level
+        maxAngle: 25 // degrees of tilt for full speed
+    }
+};
+
+const DEFAULT_CONTROL_MODE = 'buttons';
+
+// Drag steering is part of the simulation, which also runs in Node
+if (typeof module !== 'undefined') {
+    module.exports = { ControlModes, DEFAULT_CONTROL_MODE };
+}
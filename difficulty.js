@@ -0,0 +1,91 @@
+// Difficulty presets. Each curve lists settings at some levels; levels in between are
+// interpolated and levels past the last row keep its values.
+//   spawnRate       - average food spawns per second
+//   gameSpeed       - multiplier on every falling object's speed
+//   badFoodChance   - share of spawns that are bad food (0-1)
+//   maxObjects      - most food on screen at once
+//   fallSpeed       - pixels per second added to every falling object's speed, before gameSpeed
+//   pointsToLevelUp - points needed to clear this level
+const DifficultyPresets = {
+    easy: {
+        label: 'Easy',
+        curve: [
+            { level: 1, spawnRate: 0.2, gameSpeed: 0.6, badFoodChance: 0.1, maxObjects: 4, fallSpeed: 18, pointsToLevelUp: 150 },
+            { level: 5, spawnRate: 0.4, gameSpeed: 0.8, badFoodChance: 0.2, maxObjects: 5, fallSpeed: 90, pointsToLevelUp: 200 },
+            { level: 10, spawnRate: 0.6, gameSpeed: 1.0, badFoodChance: 0.3, maxObjects: 6, fallSpeed: 180, pointsToLevelUp: 250 }
+        ]
+    },
+    normal: {
+        label: 'Normal',
+        curve: [
+            { level: 1, spawnRate: 0.24, gameSpeed: 0.7, badFoodChance: 0.2, maxObjects: 6, fallSpeed: 18, pointsToLevelUp: 200 },
+            { level: 7, spawnRate: 0.96, gameSpeed: 1.3, badFoodChance: 0.5, maxObjects: 9, fallSpeed: 126, pointsToLevelUp: 200 },
+            { level: 15, spawnRate: 1.92, gameSpeed: 2.1, badFoodChance: 0.5, maxObjects: 12, fallSpeed: 270, pointsToLevelUp: 200 }
+        ]
+    },
+    hard: {
+        label: 'Hard',
+        curve: [
+            { level: 1, spawnRate: 0.5, gameSpeed: 0.9, badFoodChance: 0.3, maxObjects: 8, fallSpeed: 18, pointsToLevelUp: 250 },
+            { level: 5, spawnRate: 1.2, gameSpeed: 1.4, badFoodChance: 0.5, maxObjects: 11, fallSpeed: 90, pointsToLevelUp: 300 },
+            { level: 12, spawnRate: 2.0, gameSpeed: 2.2, badFoodChance: 0.6, maxObjects: 15, fallSpeed: 216, pointsToLevelUp: 400 }
+        ]
+    }
+};
+
+const DEFAULT_DIFFICULTY = 'normal';
+
+class DifficultyCurve {
+    constructor(preset) {
+        this.rows = preset.curve.slice().sort((a, b) => a.level - b.level);
+    }
+
+    // Past this level every setting stays the same
+    get lastLevel() {
+        return this.rows[this.rows.length - 1].level;
+    }
+
+    // Settings for a level; integer fields are rounded after interpolation
+    at(level) {
+        const rows = this.rows;
+        if (level <= rows[0].level) return { ...rows[0], level };
+
+        const last = rows[rows.length - 1];
+        if (level >= last.level) return { ...last, level };
+
+        const upperIndex = rows.findIndex(row => row.level > level);
+        const lower = rows[upperIndex - 1];
+        const upper = rows[upperIndex];
+        const t = (level - lower.level) / (upper.level - lower.level);
+        const lerp = key => lower[key] + (upper[key] - lower[key]) * t;
+
+        return {
+            level,
+            spawnRate: lerp('spawnRate'),
+            gameSpeed: lerp('gameSpeed'),
+            badFoodChance: lerp('badFoodChance'),
+            maxObjects: Math.round(lerp('maxObjects')),
+            fallSpeed: lerp('fallSpeed'),
+            pointsToLevelUp: Math.round(lerp('pointsToLevelUp'))
+        };
+    }
+
+    // The level a run is on at a given score; levels are cleared by points alone
+    levelForScore(score) {
+        let level = 1;
+        let levelStart = 0;
+        let pointsToLevelUp = this.at(level).pointsToLevelUp;
+
+        while (score >= levelStart + pointsToLevelUp) {
+            levelStart += pointsToLevelUp;
+            level++;
+            pointsToLevelUp = this.at(level).pointsToLevelUp;
+        }
+        return level;
+    }
+}
+
+// The leaderboard server loads this file in Node too
+if (typeof module !== 'undefined') {
+    module.exports = { DifficultyPresets, DEFAULT_DIFFICULTY, DifficultyCurve };
+}
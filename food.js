@@ -0,0 +1,82 @@
+// Fallback values for catalog entries; anything set in the manifest wins
+const FOOD_DEFAULTS = {
+    good: {
+        weight: 1, // relative spawn chance among foods of the same kind
+        points: 10, // base points per catch
+        pointsPerLevel: 5, // extra points per level reached
+        speed: [90, 180], // fall speed range in pixels per second, before level and gameSpeed
+        size: 150, // drawn size in pixels
+        hitbox: { width: 150, height: 150 },
+        damage: 0,
+        high: false, // vanishes above head height, so only a jump can catch it
+        effect: null
+    },
+    bad: {
+        weight: 1,
+        points: 0,
+        pointsPerLevel: 0,
+        speed: [90, 180],
+        size: 150,
+        hitbox: { width: 100, height: 100 }, // Bad food has a smaller hitbox
+        damage: 1, // hearts lost on a hit
+        high: false,
+        effect: null
+    }
+};
+
+// The food a character can drop, built from the manifest's "food" list.
+// Spawning and collisions read behaviour from these entries instead of hard-coded rules.
+class FoodCatalog {
+    constructor(entries) {
+        this.items = entries.map(entry => FoodCatalog.normalize(entry));
+    }
+
+    static normalize(entry) {
+        if (!entry.id || !entry.image) {
+            throw new Error(`Food entry needs an id and an image: ${JSON.stringify(entry)}`);
+        }
+
+        const good = entry.good !== false;
+        const defaults = good ? FOOD_DEFAULTS.good : FOOD_DEFAULTS.bad;
+        return {
+            ...defaults,
+            ...entry,
+            good,
+            hitbox: { ...defaults.hitbox, ...entry.hitbox },
+            image: entry.image,
+            imageElement: null
+        };
+    }
+
+    get good() {
+        return this.items.filter(item => item.good);
+    }
+
+    get bad() {
+        return this.items.filter(item => !item.good);
+    }
+
+    // Keep only entries whose image actually loaded
+    retain(predicate) {
+        this.items = this.items.filter(predicate);
+    }
+
+    // Weighted random pick among good or bad items (those `allow` accepts); null if there are none
+    pick(good, random = Math.random, allow = () => true) {
+        const candidates = (good ? this.good : this.bad).filter(allow);
+        const totalWeight = candidates.reduce((sum, item) => sum + item.weight, 0);
+        if (totalWeight <= 0) return null;
+
+        let roll = random() * totalWeight;
+        for (const item of candidates) {
+            roll -= item.weight;
+            if (roll < 0) return item;
+        }
+        return candidates[candidates.length - 1];
+    }
+}
+
+// Tests build catalogs from made-up entries in Node
+if (typeof module !== 'undefined') {
+    module.exports = { FoodCatalog, FOOD_DEFAULTS };
+}
@@ -2,8 +2,25 @@
 const GameStates = {
     MENU: 'menu',
     PLAYING: 'playing',
+    PAUSED: 'paused',
     GAME_OVER: 'gameover',
-    SCORES: 'scores'
+    SCORES: 'scores',
+    CONTROLS: 'controls'
+};
+
+// The game loop catches the simulation up in FIXED_TIMESTEP steps (see simulation.js)
+const MAX_FRAME_TIME = 250; // ms; longer gaps (tab switch, first frame) are clamped
+
+// On phones and tablets, if the playfield would cover less than this share of the space
+// available and turning the device would give it more, the run pauses and asks for a rotation
+const MIN_PLAYFIELD_FILL = 0.45;
+
+// Game over screen title, by the simulation's endReason
+const GAME_OVER_TITLES = {
+    hearts: 'Game Over!',
+    time: '⏱️ Time\'s Up!',
+    hunger: '🍖 Too Hungry!',
+    finished: '🧘 Run Finished'
 };
 
 class FallingFoodGame {
@@ -12,479 +29,599 @@ class FallingFoodGame {
         this.ctx = this.canvas.getContext('2d');
         this.gameState = GameStates.MENU;
         
-        // Detect version based on URL
-        this.version = this.detectVersion();
-        console.log(`🎮 Game version detected: ${this.version}`);
+        // Character version and manifest are resolved asynchronously from the URL
+        this.version = null;
+        this.character = null;
+        
+        // Touch control mode; drag mode hands the controls bar's space to the canvas
+        this.controlMode = this.loadControlModePreference();
+        this.dragTargetX = null; // canvas x the player follows in drag mode
+        this.tiltSteer = 0; // -1 (full left) to 1 (full right) in tilt mode
+        
+        // Gameplay happens on a fixed logical playfield; the canvas scales it to the screen
+        this.width = PLAYFIELD_WIDTH;
+        this.height = PLAYFIELD_HEIGHT;
+        this.renderScale = 1;
         
         // Set proper canvas dimensions first
         this.initializeCanvas();
         
-        // Game variables
-        this.score = 0;
-        this.level = 1;
-        this.lives = 3;
-        this.gameSpeed = 0.7; // Start slower
-        this.lastTime = 0;
-        
-        // Player (created after canvas is sized)
-        this.player = {
-            x: this.canvas.width / 2 - 75, // Adjusted for 3x size
-            y: this.canvas.height - 200, // Adjusted for taller canvas
-            width: 150, // 3x the original 50
-            height: 150, // 3x the original 50
-            speed: 8,
-            color: '#4CAF50',
-            state: 'idle', // idle, walking, eating
-            animationFrame: 0,
-            animationTimer: 0,
-            animationSpeed: 200, // milliseconds per frame (default for idle/eating)
-            walkingAnimationSpeed: 100, // faster animation for walking
-            facingRight: true, // Track which direction player is facing
-            eatingStartTime: 0 // Track when eating animation started
-        };
+        // Difficulty preset; spawn rate, speed etc. come from its curve for the current level
+        this.difficulty = this.loadDifficultyPreference();
         
-        // Load sprites
-        this.sprites = {
-            idle: [],
-            walking: [],
-            eat: [],
-            hit: []
-        };
-        this.spritesLoaded = {
-            idle: false,
-            walking: false,
-            eat: false,
-            hit: false
-        };
-        this.loadSprites();
+        // Game mode (Classic, Time Attack...), see modes.js
+        this.mode = this.loadModePreference();
         
-        // Falling objects
-        this.fallingObjects = [];
-        this.objectSpawnRate = 0.004; // Even less food spawning
-        this.badFoodChance = 0.2; // 20% chance for bad food initially
+        // The rules of a run (player, food, scoring, lives, levels) live in the simulation;
+        // this class feeds it input, draws it and plays whatever it reports (see simulation.js)
+        this.sim = new GameSimulation(new DifficultyCurve(DifficultyPresets[this.difficulty]), GameModes[this.mode]);
+        this.sim.onEvent = (type, detail) => this.handleSimEvent(type, detail);
         
-        // Food images
-        this.goodFoodImages = [];
-        this.badFoodImages = [];
-        this.foodImagesLoaded = false;
-        this.loadFoodImages();
+        this.scorePopups = []; // floating "+30 x3" texts
+        this.lastTime = null; // null until the first frame of a run
+        this.accumulator = 0; // ms of real time not yet simulated
+        this.animationFrameId = null;
+        this.layoutFrameId = null; // pending resize/rotation relayout
+        
+        // Visual effects (confetti, smoke...)
+        this.particles = new ParticleSystem();
+        
+        // Every run is seeded and every step's input is recorded, so a run can be
+        // watched again exactly (see replay.js)
+        this.recorder = new InputRecorder();
+        this.replays = new ReplayStore();
+        this.lastReplay = null; // the run that just ended, until its score is saved
+        this.replay = null; // ReplayPlayer while watching a replay
+        this.replaySpeed = 1;
+        this.replayEnded = false;
+        this.seeking = false; // re-simulating to a scrubbed position
+        this.scrubbing = false; // replay slider being dragged
+        
+        // ?debug=masks draws the collision masks and hitboxes over the sprites
+        this.showCollisionMasks = new URLSearchParams(window.location.search).get('debug') === 'masks';
         
         // Background texture
         this.backgroundTexture = null;
-        this.loadBackgroundTexture();
         
-        // Input handling
-        this.keys = {};
+        // Load the character manifest, then its sprites, food and background
+        this.loadAssets();
+        
+        // Input handling: keyboard, gamepad and on-screen buttons all map to actions
+        this.input = new InputManager();
+        this.input.onPress = (action) => this.handleAction(action);
+        
+        // Sound effects and music (silent until the first tap or key press unlocks audio)
+        this.audio = new SoundManager();
+        
+        // Video reaction clips (big catch, lost heart, game over) from the character manifest
+        this.reactions = new ReactionPlayer(document.getElementById('reaction-video'));
+        this.reactionCooldown = null;
         this.setupEventListeners();
         this.setupUI();
         
-        // High scores
-        this.highScores = this.loadHighScores();
+        // Starting values for score, lives, difficulty...
+        this.resetGame();
+        
+        // High scores, kept per character, mode and difficulty (the table fills in once the character is known)
+        this.scores = new HighScoreStore();
+        this.leaderboard = new LeaderboardClient();
+        this.scoresMode = this.mode;
+        this.scoresView = this.difficulty;
+        this.highScores = this.loadHighScores(this.mode, this.difficulty);
         this.updateHighScoresDisplay();
     }
     
-    detectVersion() {
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    async loadAssets() {
+        this.setLoadingProgress(0, 0);
+        
+        try {
+            await this.loadCharacter();
+        } catch (error) {
+            console.error('❌ Failed to load character manifest:', error);
+            this.showLoadError([error.message], true);
+            return;
+        }
+        
+        // Each character has its own high score tables
+        this.highScores = this.loadHighScores(this.mode, this.difficulty);
+        this.updateHighScoresDisplay();
+        
+        // Character sound overrides load in the background once audio is unlocked
+        this.audio.setCharacterSounds(this.character.sounds, this.character.music, path => this.resolveAssetPath(path));
+        this.reactions.setReactions(this.character.reactions, path => this.resolveAssetPath(path));
+        
+        // Queue everything the character needs, then wait for all of it at once
+        const loader = new AssetLoader();
+        this.loadSprites(loader);
+        this.loadFoodImages(loader);
+        this.loadBackgroundTexture(loader);
+        
+        const result = await loader.load((loaded, total) => this.setLoadingProgress(loaded, total));
+        console.log(`✅ Assets loaded: ${result.loaded}/${loader.total}`);
+        this.finishLoading(result.failed);
+    }
+    
+    async loadCharacter() {
+        let roster = { default: 'sofia', characters: ['sofia'] };
+        try {
+            roster = await this.fetchJSON('characters.json');
+        } catch (error) {
+            console.error('❌ Failed to load character roster, using default:', error);
+        }
+        
+        this.version = this.detectVersion(roster);
+        console.log(`🎮 Game version detected: ${this.version}`);
+        
+        try {
+            this.character = await this.loadManifest(this.version);
+        } catch (error) {
+            if (this.version === roster.default) throw error;
+            console.error(`❌ Failed to load ${this.version} manifest:`, error);
+            
+            // Unknown or broken character: fall back to the default one
+            this.version = roster.default;
+            this.character = await this.loadManifest(this.version);
+        }
+    }
+    
+    async loadManifest(name) {
+        const manifestUrl = `${name}/manifest.json`;
+        const manifest = await this.fetchJSON(manifestUrl);
+        
+        const idle = manifest.animations && manifest.animations.idle;
+        if (!idle || !(idle.sheet || (Array.isArray(idle.frames) && idle.frames.length > 0))) {
+            throw new Error(`${manifestUrl}: missing idle animation`);
+        }
+        if (!Array.isArray(manifest.food) || !manifest.food.some(item => item.good !== false)) {
+            throw new Error(`${manifestUrl}: missing good food`);
+        }
+        
+        // Asset paths in the manifest are relative to the manifest itself
+        manifest.baseUrl = new URL(manifestUrl, window.location.href).href;
+        console.log(`📄 Loaded ${name} manifest (${Object.keys(manifest.animations).join(', ')})`);
+        return manifest;
+    }
+    
+    resolveAssetPath(path) {
+        return new URL(path, this.character.baseUrl).href;
+    }
+    
+    detectVersion(roster) {
         // Check URL path for version
         const path = window.location.pathname.toLowerCase();
         const search = window.location.search.toLowerCase();
         const hash = window.location.hash.toLowerCase();
         
         console.log('Full URL:', window.location.href);
-        console.log('Pathname:', path);
-        console.log('Search:', search);
-        console.log('Hash:', hash);
-        
-        // Check multiple ways the version might be specified
-        if (path.includes('rhen') || search.includes('rhen') || hash.includes('rhen')) {
-            console.log('Detected RHEN version');
-            return 'rhen';
-        } else if (path.includes('sofia') || search.includes('sofia') || hash.includes('sofia')) {
-            console.log('Detected SOFIA version');
-            return 'sofia';
-        } else {
-            // Default to sofia for root or other paths
-            console.log('Using default SOFIA version');
-            return 'sofia';
+        
+        // An explicit ?character=name always wins, even for folders not in the roster
+        const requested = new URLSearchParams(search).get('character');
+        if (requested) {
+            return requested;
         }
+        
+        // Otherwise look for any known character name anywhere in the URL
+        const match = roster.characters.find(name =>
+            path.includes(name) || search.includes(name) || hash.includes(name)
+        );
+        
+        // Default for root or other paths
+        return match || roster.default;
     }
     
-    initializeCanvas() {
-        // Check if we're on mobile
-        const isMobile = window.innerWidth <= 767;
-        
-        if (isMobile) {
-            // Mobile: Use full viewport dimensions
-            this.canvas.width = window.innerWidth;
-            this.canvas.height = window.innerHeight - 140; // Account for UI (60px) + controls (80px)
-        } else {
-            // Desktop: Use fixed size
-            this.canvas.width = 800;
-            this.canvas.height = 700;
+    // CSS pixels available to the canvas in a viewport, going by the layout in styles.css
+    getAvailableSize(viewportWidth, viewportHeight) {
+        if (viewportWidth <= 767) {
+            // Mobile: full viewport minus UI (60px) and the controls bar (hidden in drag mode)
+            const controlsHeight = this.controlMode === 'drag' ? 0 : 80;
+            return { width: viewportWidth, height: viewportHeight - 60 - controlsHeight };
         }
         
-        console.log('Canvas initialized:', this.canvas.width, 'x', this.canvas.height, isMobile ? '(mobile)' : '(desktop)');
+        // Desktop: the container is 90% of the window, at most 800px wide, minus the UI bar
+        return { width: Math.min(800, viewportWidth * 0.9), height: viewportHeight * 0.9 - 60 };
+    }
+    
+    // Scale that fits the fixed playfield inside the available size, keeping its aspect ratio
+    getPlayfieldFit(available) {
+        return Math.max(0.1, Math.min(available.width / this.width, available.height / this.height));
     }
     
-    loadSprites() {
-        // Get version-specific folder names
-        const idleFolder = this.version === 'rhen' ? 'rhenidle' : 'idle';
-        const runningFolder = this.version === 'rhen' ? 'rhenRunning' : 'Running';
-        const eatFolder = this.version === 'rhen' ? 'rheneat' : 'eat';
-        const cryFolder = this.version === 'rhen' ? 'cryrhen' : 'cry';
+    // Share of the available space the playfield covers (the rest is letterbox)
+    getPlayfieldFill(viewportWidth, viewportHeight) {
+        const available = this.getAvailableSize(viewportWidth, viewportHeight);
+        if (available.width <= 0 || available.height <= 0) return 0;
         
-        console.log(`Loading ${this.version} sprites from: ${idleFolder}, ${runningFolder}, ${eatFolder}, ${cryFolder}`);
+        const fit = this.getPlayfieldFit(available);
+        return (this.width * fit * this.height * fit) / (available.width * available.height);
+    }
+    
+    initializeCanvas() {
+        // Check if we're on mobile
+        const isMobile = window.innerWidth <= 767;
         
-        // Load idle sprites
-        let idleLoaded = 0;
-        const idleTotal = 2;
-        for (let i = 1; i <= idleTotal; i++) {
-            const img = new Image();
-            img.onload = () => {
-                idleLoaded++;
-                if (idleLoaded === idleTotal) {
-                    this.spritesLoaded.idle = true;
-                }
-            };
-            img.src = `${idleFolder}/frame-${i}.png`;
-            this.sprites.idle.push(img);
-        }
+        // Fit the fixed playfield inside the space left by the UI (the rest is letterbox)
+        const fit = this.getPlayfieldFit(this.getAvailableSize(window.innerWidth, window.innerHeight));
+        const cssWidth = Math.floor(this.width * fit);
+        const cssHeight = Math.floor(this.height * fit);
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
         
-        // Load walking sprites
-        let walkingLoaded = 0;
-        const walkingTotal = 6;
-        for (let i = 1; i <= walkingTotal; i++) {
-            const img = new Image();
-            img.onload = () => {
-                walkingLoaded++;
-                if (walkingLoaded === walkingTotal) {
-                    this.spritesLoaded.walking = true;
-                }
-            };
-            // Use different naming convention for different versions
-            if (this.version === 'rhen') {
-                img.src = `${runningFolder}/frame-${i}.png`;
-            } else {
-                img.src = `${runningFolder}/frame-${i}.1.png`; // Sofia uses .1.png format
-            }
-            this.sprites.walking.push(img);
-        }
+        // Back the canvas with device pixels so sprites and text stay sharp on HiDPI screens
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(cssWidth * pixelRatio);
+        this.canvas.height = Math.round(cssHeight * pixelRatio);
+        this.renderScale = this.canvas.width / this.width; // device pixels per playfield unit
         
-         // Load eating sprite
-         console.log(`Loading ${this.version} eating sprite...`);
-         const eatImg = new Image();
-         eatImg.onload = () => {
-             this.spritesLoaded.eat = true;
-             console.log('✅ Eating sprite loaded successfully!');
-             console.log(`Eating sprite dimensions: ${eatImg.width}x${eatImg.height}`);
-         };
-         eatImg.onerror = () => {
-             console.error(`❌ FAILED to load eating sprite: ${eatFolder}/frame-1.png`);
-         };
-         eatImg.src = `${eatFolder}/frame-1.png`;
-         this.sprites.eat.push(eatImg);
-        
-        // Load hit/cry sprites
-        let hitLoaded = 0;
-        const hitTotal = this.version === 'rhen' ? 3 : 3; // Both versions have 3 frames
-        
-        console.log(`Loading ${this.version} cry sprites from ${cryFolder}`);
-        
-        if (this.version === 'rhen') {
-            // Rhen version: frame-1.png, frame-2.png, frame-3.png
-            for (let i = 1; i <= 3; i++) {
-                const img = new Image();
-                img.onload = () => {
-                    hitLoaded++;
-                    console.log(`Rhen cry sprite ${i} loaded (${hitLoaded}/${hitTotal})`);
-                    if (hitLoaded === hitTotal) {
-                        this.spritesLoaded.hit = true;
-                        console.log('All Rhen cry sprites loaded!');
-                    }
-                };
-                img.onerror = () => {
-                    console.log(`Failed to load Rhen cry sprite ${i}: ${cryFolder}/frame-${i}.png`);
-                };
-                img.src = `${cryFolder}/frame-${i}.png`;
-                this.sprites.hit.push(img);
-            }
-        } else {
-            // Sofia version: frame-1.png, frame-2.png, frame 3.png (note space in frame 3)
-            for (let i = 1; i <= 2; i++) {
-                const img = new Image();
-                img.onload = () => {
-                    hitLoaded++;
-                    console.log(`Sofia cry sprite ${i} loaded (${hitLoaded}/${hitTotal})`);
-                    if (hitLoaded === hitTotal) {
-                        this.spritesLoaded.hit = true;
-                        console.log('All Sofia cry sprites loaded!');
-                    }
-                };
-                img.onerror = () => {
-                    console.log(`Failed to load Sofia cry sprite ${i}: ${cryFolder}/frame-${i}.png`);
-                };
-                img.src = `${cryFolder}/frame-${i}.png`;
-                this.sprites.hit.push(img);
-            }
-            
-            // Load frame 3.png (note the space in filename for Sofia)
-            const img3 = new Image();
-            img3.onload = () => {
-                hitLoaded++;
-                console.log(`Sofia cry sprite 3 loaded (${hitLoaded}/${hitTotal})`);
-                if (hitLoaded === hitTotal) {
-                    this.spritesLoaded.hit = true;
-                    console.log('All Sofia cry sprites loaded!');
-                }
-            };
-            img3.onerror = () => {
-                console.log('Failed to load Sofia cry sprite 3: cry/frame 3.png');
-            };
-            img3.src = `${cryFolder}/frame 3.png`;
-            this.sprites.hit.push(img3);
-        }
+        console.log(`Canvas initialized: ${this.width}x${this.height} playfield at ${cssWidth}x${cssHeight} CSS px, ${this.canvas.width}x${this.canvas.height} device px`, isMobile ? '(mobile)' : '(desktop)');
+        
+        // A new scale needs the frames redrawn at their new size
+        this.prescaleSprites();
     }
     
-    loadFoodImages() {
-        // Get version-specific food folder names
-        const goodFoodFolder = this.version === 'rhen' ? 'rhengoodfood' : 'goodfood';
-        const badFoodFolder = this.version === 'rhen' ? 'rhenbadfood' : 'badfood';
+    // Optionally redraw the player's frames at the size they're shown at the current scale
+    prescaleSprites() {
+        if (!this.character || !this.character.prescale) return;
         
-        console.log(`Loading ${this.version} food images from: ${goodFoodFolder}, ${badFoodFolder}`);
-
-        // Load good food images
-        let goodFoodLoaded = 0;
-        const goodFoodTotal = this.version === 'rhen' ? 3 : 3; // Both have 3 images
-        for (let i = 1; i <= goodFoodTotal; i++) {
-            const img = new Image();
-            img.onload = () => {
-                goodFoodLoaded++;
-                console.log(`${this.version} good food ${i} loaded (${goodFoodLoaded}/${goodFoodTotal})`);
-                this.checkAllFoodImagesLoaded();
-            };
-            img.onerror = () => {
-                console.error(`Failed to load ${this.version} good food ${i}: ${goodFoodFolder}/good${i}.png`);
-            };
-            img.src = `${goodFoodFolder}/good${i}.png`;
-            this.goodFoodImages.push(img);
-        }
+        Object.keys(this.sim.sprites).forEach(state => {
+            if (this.sim.spritesLoaded[state]) {
+                this.sim.sprites[state].prescale(this.sim.player.width * this.renderScale, this.sim.player.height * this.renderScale);
+            }
+        });
+    }
+    
+    // True when a touch device is held the wrong way round for the playfield
+    needsRotation() {
+        const coarsePointer = Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+        if (!coarsePointer && window.innerWidth > 767) return false;
+        
+        const fill = this.getPlayfieldFill(window.innerWidth, window.innerHeight);
+        const rotatedFill = this.getPlayfieldFill(window.innerHeight, window.innerWidth);
+        return fill < MIN_PLAYFIELD_FILL && rotatedFill > fill;
+    }
+    
+    // Resizes and rotations only change how the playfield is scaled: the player, food and HUD
+    // all live in playfield units, so nothing in the world moves. Runs at most once a frame.
+    scheduleLayout() {
+        if (this.layoutFrameId) return;
+        
+        this.layoutFrameId = requestAnimationFrame(() => {
+            this.layoutFrameId = null;
+            this.updateLayout();
+        });
+    }
+    
+    updateLayout() {
+        this.initializeCanvas();
+        this.updateRotateOverlay();
         
-        // Load bad food images
-        let badFoodLoaded = 0;
-        const badFoodTotal = this.version === 'rhen' ? 1 : 3; // Rhen has 1, Sofia has 3
-        for (let i = 1; i <= badFoodTotal; i++) {
-            const img = new Image();
-            img.onload = () => {
-                badFoodLoaded++;
-                console.log(`${this.version} bad food ${i} loaded (${badFoodLoaded}/${badFoodTotal})`);
-                this.checkAllFoodImagesLoaded();
-            };
-            img.onerror = () => {
-                console.error(`Failed to load ${this.version} bad food ${i}: ${badFoodFolder}/bad${i}.png`);
-            };
-            img.src = `${badFoodFolder}/bad${i}.png`;
-            this.badFoodImages.push(img);
+        // Resizing clears the canvas, so redraw the frozen frame behind the pause overlay
+        if (this.gameState === GameStates.PAUSED) {
+            this.render();
         }
     }
     
-    checkAllFoodImagesLoaded() {
-        const goodFoodReady = this.goodFoodImages.every(img => img.complete);
-        const badFoodReady = this.badFoodImages.every(img => img.complete);
-        
-        if (goodFoodReady && badFoodReady && !this.foodImagesLoaded) {
-            this.foodImagesLoaded = true;
-            console.log('✅ All food images loaded successfully!');
-            console.log('Good food images:', this.goodFoodImages.length);
-            console.log('Bad food images:', this.badFoodImages.length);
+    updateRotateOverlay() {
+        const onGameScreen = this.gameState === GameStates.PLAYING || this.gameState === GameStates.PAUSED;
+        const rotate = onGameScreen && this.needsRotation();
+        
+        document.getElementById('rotate-overlay').classList.toggle('hidden', !rotate);
+        if (rotate && this.gameState === GameStates.PLAYING) {
+            console.log('📱 Paused until the device is rotated');
+            this.pauseGame();
         }
     }
     
-    loadBackgroundTexture() {
-        console.log('Loading background texture from local bg folder...');
+    loadSprites(loader) {
+        console.log(`Queueing ${this.version} sprites: ${Object.keys(this.character.animations).join(', ')}`);
         
-        const img = new Image();
-        img.onload = () => {
-            this.backgroundTexture = img;
-            console.log('✅ Background texture loaded successfully!');
-            console.log(`Background texture dimensions: ${img.width}x${img.height}`);
-        };
-        img.onerror = () => {
-            console.error('❌ Failed to load background texture: bg/bg.jpg');
-            console.log('Game will continue with gradient background');
-        };
-        img.src = 'bg/bg.jpg';
+        Object.entries(this.character.animations).forEach(([state, animation]) => {
+            this.sim.sprites[state] = new SpriteAnimation(animation, loader, path => this.resolveAssetPath(path));
+            this.sim.spritesLoaded[state] = false;
+        });
     }
     
-    testEatingAnimation() {
-        console.log('🧪 Starting eating animation test...');
-        console.log('Current player state:', this.player.state);
+    loadFoodImages(loader) {
+        this.sim.foodCatalog = new FoodCatalog(this.character.food);
+        console.log(`Queueing ${this.version} food images: ${this.sim.foodCatalog.good.length} good, ${this.sim.foodCatalog.bad.length} bad`);
         
-        // Force eating state for testing
-        this.player.state = 'eating';
-        this.player.animationFrame = 0;
-        this.player.animationTimer = 0;
-        
-        console.log('Set player to eating state for 3 seconds');
-        console.log('Available eating sprites:', this.sprites.eat.length);
+        this.sim.foodCatalog.items.forEach(item => {
+            item.imageElement = loader.image(this.resolveAssetPath(item.image), item.image);
+        });
+    }
+    
+    loadBackgroundTexture(loader) {
+        if (!this.character.background) {
+            console.log('No background in manifest, using plain background');
+            return;
+        }
         
-        // Manual frame cycling test
-        let testFrame = 0;
-        const manualFrameTest = setInterval(() => {
-            if (this.player.state === 'eating') {
-                this.player.animationFrame = testFrame % this.sprites.eat.length;
-                console.log(`🔄 Manual frame test: Setting frame to ${this.player.animationFrame}`);
-                testFrame++;
+        this.backgroundTexture = loader.image(this.resolveAssetPath(this.character.background), this.character.background);
+    }
+    
+    finishLoading(failed) {
+        // Drop anything that failed so the renderer never draws a broken image
+        Object.keys(this.sim.sprites).forEach(state => {
+            this.sim.spritesLoaded[state] = this.sim.sprites[state].finalize();
+            
+            // Collision masks come from the full-size art, before any prescale
+            if (this.sim.spritesLoaded[state]) {
+                this.sim.sprites[state].buildMasks();
             }
-        }, 500); // Change frame every 500ms for testing
+        });
+        this.prescaleSprites();
+        this.sim.foodCatalog.retain(item => AssetLoader.isUsable(item.imageElement));
+        this.sim.foodCatalog.items.forEach(item => {
+            item.mask = AlphaMask.fromImage(item.imageElement);
+        });
+        if (!AssetLoader.isUsable(this.backgroundTexture)) {
+            this.backgroundTexture = null;
+        }
+        
+        // Without good food there is nothing to play
+        const fatal = this.sim.foodCatalog.good.length === 0;
         
-        // Reset after test
-        setTimeout(() => {
-            console.log('🧪 Test complete, resetting to idle');
-            this.player.state = 'idle';
-            clearInterval(manualFrameTest);
-        }, 3000);
+        if (failed.length > 0) {
+            this.showLoadError(failed, fatal);
+        }
+        if (!fatal) {
+            document.getElementById('loading-panel').classList.add('hidden');
+            document.getElementById('play-button').disabled = false;
+        }
     }
     
-    startForcedEatingAnimation() {
-        console.log('🔧 Starting simple eating animation (single frame)');
+    setLoadingProgress(loaded, total) {
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+        document.getElementById('loading-progress').style.width = `${percent}%`;
+        document.getElementById('loading-text').textContent = `Loading... ${percent}%`;
+    }
+    
+    showLoadError(files, fatal) {
+        const list = document.getElementById('load-error-list');
+        list.innerHTML = '';
+        files.forEach(file => {
+            const item = document.createElement('li');
+            item.textContent = file;
+            list.appendChild(item);
+        });
         
-        // Clear any existing eating timer
-        if (this.eatingTimer) {
-            clearTimeout(this.eatingTimer);
+        document.getElementById('load-error-title').textContent = fatal
+            ? '⚠️ The game could not load'
+            : '⚠️ Some files failed to load';
+        document.getElementById('load-error').classList.remove('hidden');
+        if (fatal) {
+            document.getElementById('loading-text').textContent = 'Loading failed';
+        }
+    }
+    
+    // Play a reaction clip if the character has one. Inset clips are rate-limited and never
+    // cover a full-screen one; if the video can't play, the sprites are all the player sees.
+    playReaction(event) {
+        const reaction = this.reactions.get(event);
+        if (!reaction || this.seeking) return;
+        
+        if (reaction.mode !== 'full') {
+            if (this.reactionCooldown || this.reactions.isPlaying('full')) return;
+            this.reactionCooldown = this.sim.timeline.after(REACTION_COOLDOWN, () => {
+                this.reactionCooldown = null;
+            });
         }
         
-        // Set to frame 0 (the only eating frame)
-        this.player.animationFrame = 0;
-        console.log('🔧 Showing eating frame for 400ms');
-        
-        // Show eating frame for a brief duration, then return to idle
-        this.eatingTimer = setTimeout(() => {
-            if (this.player.state === 'eating') {
-                console.log('🔧 Eating animation complete, returning to idle');
-                this.player.state = 'idle';
+        this.reactions.play(event, {
+            muted: this.audio.settings.muted || !this.audio.context,
+            volume: this.audio.settings.sfxVolume
+        }).then(playing => {
+            if (playing) console.log(`🎞️ Playing ${event} reaction`);
+        });
+    }
+    
+    // Sound, particles, reactions and HUD for what happened in the simulation this step
+    handleSimEvent(type, detail) {
+        // Effects start from the middle of the object involved, if there is one
+        const obj = detail.obj;
+        const x = obj ? obj.x + obj.width / 2 : 0;
+        const y = obj ? obj.y + obj.height / 2 : 0;
+        
+        switch (type) {
+            case 'catch': {
+                this.audio.play('catch');
+                const bigCatch = this.reactions.get('bigCatch');
+                if (bigCatch && detail.points >= bigCatch.minPoints) {
+                    this.playReaction('bigCatch');
+                }
+                this.spawnScorePopup(x, y, detail.points, detail.multiplier);
+                this.particles.emit(x, y, ParticleEffects.confetti);
+                break;
             }
-        }, 150); // Show eating frame for 400ms
+            case 'powerUp':
+                this.audio.play('powerUp');
+                if (obj) {
+                    this.particles.emit(x, y, ParticleEffects.confetti);
+                }
+                break;
+            case 'shield':
+            case 'vanish':
+                this.particles.emit(x, y, ParticleEffects.smoke);
+                break;
+            case 'hit':
+                this.audio.play('hit');
+                this.particles.emit(x, y, ParticleEffects.smoke);
+                if (!detail.final) {
+                    this.playReaction('heartLost');
+                    this.screenShake();
+                }
+                break;
+            case 'levelUp':
+                this.showLevelUpAnimation();
+                break;
+            case 'waveEvent':
+                this.audio.play('powerUp');
+                this.showWaveBanner(detail.label, 'Catch the food, dodge the rest!', '#FFD700');
+                break;
+            case 'waveEventEnd':
+                if (detail.cleared) {
+                    this.audio.play('levelUp');
+                    this.showWaveBanner('Cleared!', `+${detail.bonus} bonus`, '#00E676');
+                    this.particles.emit(this.width / 2, this.height / 3, ParticleEffects.confetti);
+                } else {
+                    this.showWaveBanner(detail.label, 'Not cleared this time', '#ccc');
+                }
+                break;
+            case 'dramaticGameOver':
+                this.startDramaticGameOver();
+                break;
+            case 'gameOver':
+                this.gameOver();
+                return;
+        }
+        this.updateUI();
     }
     
+    // The simulation keeps the player crying and ends the run; this is the show around it
     startDramaticGameOver() {
-        console.log('🎬 Starting dramatic game over sequence');
-        this.dramaticGameOverInProgress = true;
-        
-        // Keep player in crying state
-        this.player.state = 'hit';
-        this.player.animationFrame = 0;
-        this.player.animationTimer = 0;
-        
-        // Start continuous crying animation
-        this.startContinuousCrying();
+        this.audio.setMusicPlaying(false);
+        this.audio.play('gameOver');
+        this.playReaction('gameOver');
         
         // Start zoom effect
         this.startZoomEffect();
         
         // Show big game over text after a delay
-        setTimeout(() => {
-            this.showBigGameOverText();
-        }, 1500);
-        
-        // Actually end the game after the dramatic sequence
-        setTimeout(() => {
-            this.gameOver();
-        }, 4000);
-    }
-    
-    startContinuousCrying() {
-        // Clear any existing crying animation
-        if (this.continuousCryingInterval) {
-            clearInterval(this.continuousCryingInterval);
-        }
-        
-        // Keep cycling through crying frames continuously
-        this.continuousCryingInterval = setInterval(() => {
-            if (this.player.state === 'hit' && this.sprites.hit.length > 0) {
-                this.player.animationFrame = (this.player.animationFrame + 1) % this.sprites.hit.length;
-            }
-        }, 200); // Cycle through crying frames every 200ms
+        this.sim.timeline.after(1500, () => this.showBigGameOverText());
     }
     
     startZoomEffect() {
         console.log('🔍 Starting zoom effect');
-        let zoomLevel = 1;
         const maxZoom = 2.5;
-        const zoomSpeed = 0.02;
         
-        this.zoomInterval = setInterval(() => {
-            if (zoomLevel < maxZoom) {
-                zoomLevel += zoomSpeed;
+        this.zoomInterval = this.sim.timeline.tween({
+            duration: 3750,
+            onUpdate: (progress) => {
+                const zoomLevel = 1 + (maxZoom - 1) * progress;
                 
-                // Apply zoom transform to canvas
-                const canvas = document.getElementById('game-canvas');
-                const playerCenterX = this.player.x + this.player.width / 2;
-                const playerCenterY = this.player.y + this.player.height / 2;
+                // Zoom the canvas in on the player
+                const playerCenterX = this.sim.player.x + this.sim.player.width / 2;
+                const playerCenterY = this.sim.player.y + this.sim.player.height / 2;
                 
                 // Calculate transform origin as percentage
-                const originX = (playerCenterX / this.canvas.width) * 100;
-                const originY = (playerCenterY / this.canvas.height) * 100;
+                const originX = (playerCenterX / this.width) * 100;
+                const originY = (playerCenterY / this.height) * 100;
                 
-                canvas.style.transformOrigin = `${originX}% ${originY}%`;
-                canvas.style.transform = `scale(${zoomLevel})`;
-                canvas.style.transition = 'transform 0.1s ease-out';
+                this.canvas.style.transformOrigin = `${originX}% ${originY}%`;
+                this.canvas.style.transform = `scale(${zoomLevel})`;
             }
-        }, 50);
+        });
     }
     
     showBigGameOverText() {
         console.log('💥 Showing big GAME OVER text');
         
-        // Set up canvas-based game over text
+        // Set up canvas-based game over text, growing in over 2.5 seconds
         this.gameOverTextActive = true;
-        this.gameOverTextTime = 0;
-        this.gameOverTextDuration = 2500; // Show for 2.5 seconds
+        this.gameOverTextProgress = 0;
+        this.sim.timeline.tween({
+            duration: 2500,
+            onUpdate: (progress) => {
+                this.gameOverTextProgress = progress;
+            }
+        });
     }
     
     showLevelUpAnimation() {
         console.log('🎉 Showing level up animation');
+        this.audio.play('levelUp');
         
-        // Set up canvas text rendering for level up
+        // Set up canvas text rendering for level up, shown for 1 second
+        this.sim.timeline.cancel(this.levelUpTween);
         this.levelUpAnimationActive = true;
-        this.levelUpAnimationTime = 0;
-        this.levelUpAnimationDuration = 1000; // Show for 1 second (shorter)
-        
-        console.log(`Level up animation will show for ${this.levelUpAnimationDuration}ms`);
-        
-        // Clear animation after duration
-        setTimeout(() => {
-            this.levelUpAnimationActive = false;
-            console.log('Level up animation complete');
-        }, this.levelUpAnimationDuration);
+        this.levelUpAnimationProgress = 0;
+        this.levelUpTween = this.sim.timeline.tween({
+            duration: 1000,
+            onUpdate: (progress) => {
+                this.levelUpAnimationProgress = progress;
+            },
+            onComplete: () => {
+                this.levelUpAnimationActive = false;
+                console.log('Level up animation complete');
+            }
+        });
+    }
+    
+    // Title and subtitle across the top of the playfield, for milestone events starting and ending
+    showWaveBanner(title, subtitle, color) {
+        this.sim.timeline.cancel(this.waveBannerTween);
+        this.waveBanner = { title, subtitle, color, progress: 0 };
+        this.waveBannerTween = this.sim.timeline.tween({
+            duration: 2500,
+            onUpdate: (progress) => {
+                this.waveBanner.progress = progress;
+            },
+            onComplete: () => {
+                this.waveBanner = null;
+            }
+        });
     }
     
     setupEventListeners() {
         // Keyboard input
         document.addEventListener('keydown', (e) => {
-            this.keys[e.key.toLowerCase()] = true;
-            this.keys[e.code] = true;
+            // A bound key does its action only, with no scrolling. Keys the focused control uses
+            // itself (Enter/Space on a button, arrows on a slider, typing a name) are left to it,
+            // except while remapping: then the key is the new binding and nothing else.
+            const remapping = this.input.capture !== null;
+            if (this.input.keyDown(e.code, e.repeat, document.activeElement).length > 0 || remapping) {
+                e.preventDefault();
+            }
         });
         
         document.addEventListener('keyup', (e) => {
-            this.keys[e.key.toLowerCase()] = false;
-            this.keys[e.code] = false;
+            this.input.keyUp(e.code);
         });
         
-        // Prevent arrow key scrolling
-        document.addEventListener('keydown', (e) => {
-            if(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
-                e.preventDefault();
+        // Browsers keep audio locked until the first tap, click or key press
+        ['pointerdown', 'touchstart', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => this.audio.unlock());
+        });
+        
+        // Every button click gets a click sound
+        document.addEventListener('click', (e) => {
+            if (e.target && e.target.closest && e.target.closest('button')) {
+                this.audio.play('click');
             }
         });
         
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            this.initializeCanvas();
-            // Update player position to stay centered
-            this.player.x = this.canvas.width / 2 - this.player.width / 2;
+        // Gamepads are polled while connected
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log('🎮 Gamepad connected:', e.gamepad.id);
+            this.input.startPolling();
+        });
+        
+        // Pause automatically when the player switches tabs or windows
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
         });
+        window.addEventListener('blur', () => this.pauseGame());
+        
+        // Handle window resize and device rotation
+        window.addEventListener('resize', () => this.scheduleLayout());
+        window.addEventListener('orientationchange', () => this.scheduleLayout());
+        if (window.screen.orientation) {
+            window.screen.orientation.addEventListener('change', () => this.scheduleLayout());
+        }
         
         // Mobile controls
         this.setupMobileControls();
+        this.setupTouchSteering();
+        this.setupTilt();
     }
     
     setupUI() {
@@ -492,12 +629,51 @@ class FallingFoodGame {
         document.getElementById('play-button').addEventListener('click', () => this.startGame());
         document.getElementById('scores-button').addEventListener('click', () => this.showScores());
         document.getElementById('back-to-menu').addEventListener('click', () => this.showMenu());
+        document.getElementById('controls-button').addEventListener('click', () => this.showControls());
+        
+        // Scores screen: move the score file between devices
+        document.getElementById('export-scores').addEventListener('click', () => this.exportHighScores());
+        const importInput = document.getElementById('import-scores-file');
+        document.getElementById('import-scores').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importHighScores(importInput.files[0]);
+            }
+            importInput.value = ''; // so picking the same file again still fires
+        });
+        
+        // Controls screen buttons
+        document.getElementById('reset-bindings').addEventListener('click', () => {
+            this.input.resetBindings();
+            this.updateBindingsDisplay();
+        });
+        document.getElementById('controls-back').addEventListener('click', () => this.showMenu());
         
         // Game over buttons
         document.getElementById('play-again-button').addEventListener('click', () => this.startGame());
         document.getElementById('menu-button').addEventListener('click', () => this.showMenu());
         document.getElementById('save-score').addEventListener('click', () => this.saveHighScore());
         
+        // Pause controls
+        // Clicking ⏸ leaves it focused; let go of that so Space jumps again after resuming
+        document.getElementById('pause-button').addEventListener('click', (e) => {
+            e.currentTarget.blur();
+            this.pauseGame();
+        });
+        document.getElementById('resume-button').addEventListener('click', () => this.resumeGame());
+        document.getElementById('restart-button').addEventListener('click', () => this.startGame());
+        document.getElementById('finish-button').addEventListener('click', () => this.finishRun());
+        document.getElementById('quit-button').addEventListener('click', () => this.quitToMenu());
+        
+        // Replay bar (shown while watching a replay)
+        this.setupReplayControls();
+        
+        // Mode and difficulty pickers, with their high score tabs
+        this.setupModeButtons();
+        this.setupDifficultyButtons();
+        this.setupControlModeButtons();
+        this.setupAudioControls();
+        
         // Enter key for name input
         document.getElementById('player-name').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -506,85 +682,274 @@ class FallingFoodGame {
         });
     }
     
-    setupMobileControls() {
-        // Left button
-        const leftButton = document.getElementById('move-left');
-        const rightButton = document.getElementById('move-right');
-        
-        // Touch/click events for left button
-        leftButton.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.keys['arrowleft'] = true;
-            this.keys['a'] = true;
+    setupModeButtons() {
+        // One button per mode in the menu picker and on the scores screen
+        const menuPicker = document.getElementById('mode-select');
+        const scoresTabs = document.getElementById('scores-mode-tabs');
+        
+        Object.entries(GameModes).forEach(([id, mode]) => {
+            const option = document.createElement('button');
+            option.className = 'difficulty-option';
+            option.dataset.mode = id;
+            option.textContent = mode.label;
+            option.title = mode.description;
+            option.addEventListener('click', () => this.setMode(id));
+            menuPicker.appendChild(option);
+            
+            const tab = document.createElement('button');
+            tab.className = 'difficulty-option';
+            tab.dataset.mode = id;
+            tab.textContent = mode.label;
+            tab.addEventListener('click', () => {
+                this.scoresMode = id;
+                this.updateHighScoresDisplay();
+            });
+            scoresTabs.appendChild(tab);
         });
         
-        leftButton.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this.keys['arrowleft'] = false;
-            this.keys['a'] = false;
+        this.updateModeButtons();
+    }
+    
+    updateModeButtons() {
+        Array.from(document.getElementById('mode-select').children).forEach(option => {
+            option.classList.toggle('selected', option.dataset.mode === this.mode);
         });
-        
-        leftButton.addEventListener('mousedown', (e) => {
-            e.preventDefault();
-            this.keys['arrowleft'] = true;
-            this.keys['a'] = true;
+        Array.from(document.getElementById('scores-mode-tabs').children).forEach(tab => {
+            tab.classList.toggle('selected', tab.dataset.mode === this.scoresMode);
         });
+        document.getElementById('mode-description').textContent = GameModes[this.mode].description;
+    }
+    
+    setMode(mode) {
+        if (!GameModes[mode]) return;
         
-        leftButton.addEventListener('mouseup', (e) => {
-            e.preventDefault();
-            this.keys['arrowleft'] = false;
-            this.keys['a'] = false;
-        });
+        // The simulation picks up the new rules when the next run resets it
+        this.mode = mode;
+        this.sim.mode = GameModes[mode];
+        localStorage.setItem('fallingFoodMode', mode);
         
-        // Touch/click events for right button
-        rightButton.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.keys['arrowright'] = true;
-            this.keys['d'] = true;
+        this.highScores = this.loadHighScores(mode, this.difficulty);
+        this.scoresMode = mode;
+        this.updateModeButtons();
+    }
+    
+    loadModePreference() {
+        const saved = localStorage.getItem('fallingFoodMode');
+        return GameModes[saved] ? saved : DEFAULT_GAME_MODE;
+    }
+    
+    setupDifficultyButtons() {
+        // One button per preset in the menu picker and on the scores screen
+        const menuPicker = document.getElementById('difficulty-select');
+        const scoresTabs = document.getElementById('scores-difficulty-tabs');
+        
+        Object.entries(DifficultyPresets).forEach(([id, preset]) => {
+            const option = document.createElement('button');
+            option.className = 'difficulty-option';
+            option.dataset.difficulty = id;
+            option.textContent = preset.label;
+            option.addEventListener('click', () => this.setDifficulty(id));
+            menuPicker.appendChild(option);
+            
+            const tab = document.createElement('button');
+            tab.className = 'difficulty-option';
+            tab.dataset.difficulty = id;
+            tab.textContent = preset.label;
+            tab.addEventListener('click', () => {
+                this.scoresView = id;
+                this.updateHighScoresDisplay();
+            });
+            scoresTabs.appendChild(tab);
         });
         
-        rightButton.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this.keys['arrowright'] = false;
-            this.keys['d'] = false;
+        this.updateDifficultyButtons();
+    }
+    
+    updateDifficultyButtons() {
+        Array.from(document.getElementById('difficulty-select').children).forEach(option => {
+            option.classList.toggle('selected', option.dataset.difficulty === this.difficulty);
+        });
+        Array.from(document.getElementById('scores-difficulty-tabs').children).forEach(tab => {
+            tab.classList.toggle('selected', tab.dataset.difficulty === this.scoresView);
+        });
+    }
+    
+    setupAudioControls() {
+        const musicSlider = document.getElementById('music-volume');
+        const sfxSlider = document.getElementById('sfx-volume');
+        
+        musicSlider.value = Math.round(this.audio.settings.musicVolume * 100);
+        sfxSlider.value = Math.round(this.audio.settings.sfxVolume * 100);
+        musicSlider.addEventListener('input', () => this.audio.setMusicVolume(musicSlider.value / 100));
+        sfxSlider.addEventListener('input', () => this.audio.setSfxVolume(sfxSlider.value / 100));
+        
+        document.getElementById('mute-button').addEventListener('click', () => this.toggleMute());
+        document.getElementById('menu-mute-button').addEventListener('click', () => this.toggleMute());
+        this.updateMuteButtons();
+    }
+    
+    toggleMute() {
+        const muted = this.audio.toggleMute();
+        console.log(muted ? '🔇 Muted' : '🔊 Unmuted');
+        this.updateMuteButtons();
+    }
+    
+    updateMuteButtons() {
+        ['mute-button', 'menu-mute-button'].forEach(id => {
+            const button = document.getElementById(id);
+            button.textContent = this.audio.settings.muted ? '🔇' : '🔊';
+            button.setAttribute('aria-label', this.audio.settings.muted ? 'Unmute' : 'Mute');
+        });
+    }
+    
+    setupControlModeButtons() {
+        const picker = document.getElementById('control-select');
+        
+        Object.entries(ControlModes).forEach(([id, mode]) => {
+            const option = document.createElement('button');
+            option.className = 'difficulty-option';
+            option.dataset.controlMode = id;
+            option.textContent = mode.label;
+            option.addEventListener('click', () => this.setControlMode(id));
+            picker.appendChild(option);
         });
         
-        rightButton.addEventListener('mousedown', (e) => {
-            e.preventDefault();
-            this.keys['arrowright'] = true;
-            this.keys['d'] = true;
+        this.applyControlMode();
+    }
+    
+    async setControlMode(mode) {
+        if (!ControlModes[mode]) return;
+        
+        // iOS only delivers orientation events after the player allows it from a tap
+        if (mode === 'tilt' && typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                if (permission !== 'granted') {
+                    console.warn('📱 Tilt permission denied, keeping', this.controlMode);
+                    return;
+                }
+            } catch (error) {
+                console.warn('📱 Tilt permission request failed:', error);
+                return;
+            }
+        }
+        
+        this.controlMode = mode;
+        localStorage.setItem('fallingFoodControlMode', mode);
+        this.applyControlMode();
+    }
+    
+    loadControlModePreference() {
+        const saved = localStorage.getItem('fallingFoodControlMode');
+        return ControlModes[saved] ? saved : DEFAULT_CONTROL_MODE;
+    }
+    
+    applyControlMode() {
+        Array.from(document.getElementById('control-select').children).forEach(option => {
+            option.classList.toggle('selected', option.dataset.controlMode === this.controlMode);
         });
         
-        rightButton.addEventListener('mouseup', (e) => {
+        // Collapse the button bar in drag mode and give the canvas its height
+        document.body.classList.toggle('drag-controls', this.controlMode === 'drag');
+        this.dragTargetX = null;
+        this.tiltSteer = 0;
+        this.initializeCanvas();
+        if (this.sim.player.onGround) {
+            this.sim.player.y = this.sim.getGroundY();
+        }
+        this.sim.player.x = Math.min(this.sim.player.x, this.width - this.sim.player.width);
+    }
+    
+    setupMobileControls() {
+        // On-screen buttons hold their action down like a key
+        this.bindHoldButton(document.getElementById('move-left'), 'left');
+        this.bindHoldButton(document.getElementById('move-right'), 'right');
+        
+        // Holding jump longer jumps higher, same as the keyboard
+        this.bindHoldButton(document.getElementById('jump-button'), 'jump');
+    }
+    
+    bindHoldButton(button, action) {
+        const press = (e) => {
             e.preventDefault();
-            this.keys['arrowright'] = false;
-            this.keys['d'] = false;
-        });
+            this.input.setVirtual(action, true);
+        };
+        const release = (e) => {
+            e.preventDefault();
+            this.input.setVirtual(action, false);
+        };
+        
+        button.addEventListener('touchstart', press);
+        button.addEventListener('touchend', release);
+        button.addEventListener('mousedown', press);
+        button.addEventListener('mouseup', release);
         
         // Prevent context menu on mobile buttons
-        leftButton.addEventListener('contextmenu', (e) => e.preventDefault());
-        rightButton.addEventListener('contextmenu', (e) => e.preventDefault());
+        button.addEventListener('contextmenu', (e) => e.preventDefault());
         
-        // Handle touch leave events (when finger moves off button)
-        leftButton.addEventListener('touchleave', (e) => {
-            this.keys['arrowleft'] = false;
-            this.keys['a'] = false;
-        });
+        // Release when the finger or mouse moves off the button
+        button.addEventListener('touchleave', () => this.input.setVirtual(action, false));
+        button.addEventListener('mouseleave', () => this.input.setVirtual(action, false));
+    }
+    
+    setupTouchSteering() {
+        // Drag mode: the player follows the finger, a quick upward swipe jumps.
+        // Tilt mode: tapping the canvas jumps. Both hold jump while the finger is down,
+        // so lifting it early cuts the jump short just like the keyboard.
+        let startY = 0;
+        
+        const toCanvasX = (touch) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return (touch.clientX - rect.left) * this.width / rect.width;
+        };
         
-        rightButton.addEventListener('touchleave', (e) => {
-            this.keys['arrowright'] = false;
-            this.keys['d'] = false;
-        });
+        this.canvas.addEventListener('touchstart', (e) => {
+            if (this.controlMode === 'buttons' || this.gameState !== GameStates.PLAYING) return;
+            e.preventDefault();
+            
+            const touch = e.changedTouches[0];
+            startY = touch.clientY;
+            if (this.controlMode === 'drag') {
+                this.dragTargetX = toCanvasX(touch);
+            } else {
+                this.input.setVirtual('jump', true);
+            }
+        }, { passive: false });
         
-        // Handle mouse leave events
-        leftButton.addEventListener('mouseleave', (e) => {
-            this.keys['arrowleft'] = false;
-            this.keys['a'] = false;
-        });
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (this.controlMode !== 'drag' || this.gameState !== GameStates.PLAYING) return;
+            e.preventDefault();
+            
+            const touch = e.changedTouches[0];
+            this.dragTargetX = toCanvasX(touch);
+            if (startY - touch.clientY > ControlModes.drag.swipeDistance) {
+                this.input.setVirtual('jump', true);
+            }
+        }, { passive: false });
         
-        rightButton.addEventListener('mouseleave', (e) => {
-            this.keys['arrowright'] = false;
-            this.keys['d'] = false;
+        const endTouch = () => {
+            if (this.controlMode === 'buttons') return;
+            this.dragTargetX = null;
+            this.input.setVirtual('jump', false);
+        };
+        this.canvas.addEventListener('touchend', endTouch);
+        this.canvas.addEventListener('touchcancel', endTouch);
+    }
+    
+    setupTilt() {
+        window.addEventListener('deviceorientation', (e) => {
+            if (this.controlMode !== 'tilt' || e.gamma === null) return;
+            
+            // gamma is left/right tilt in portrait; in landscape the same motion shows up as beta
+            const angle = (window.screen.orientation && window.screen.orientation.angle) || 0;
+            let tilt = e.gamma;
+            if (angle === 90) tilt = e.beta;
+            if (angle === 270 || angle === -90) tilt = -e.beta;
+            
+            const { deadZone, maxAngle } = ControlModes.tilt;
+            const magnitude = Math.min(1, Math.max(0, Math.abs(tilt) - deadZone) / (maxAngle - deadZone));
+            this.tiltSteer = Math.sign(tilt) * magnitude;
         });
     }
     
@@ -596,339 +961,369 @@ class FallingFoodGame {
     }
     
     showMenu() {
+        this.input.cancelCapture();
         this.gameState = GameStates.MENU;
         this.showScreen('menu-screen');
     }
     
-    showScores() {
-        this.gameState = GameStates.SCORES;
-        this.showScreen('scores-screen');
-        this.updateHighScoresDisplay();
+    showControls() {
+        this.gameState = GameStates.CONTROLS;
+        this.showScreen('controls-screen');
+        this.updateBindingsDisplay();
+    }
+    
+    updateBindingsDisplay() {
+        const list = document.getElementById('bindings-list');
+        list.innerHTML = '';
+        this.waitingSlot = null;
+        document.getElementById('bindings-hint').textContent = 'Click a key or button to change it';
+        
+        Object.entries(this.input.bindings).forEach(([action, binding]) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            
+            const label = document.createElement('span');
+            label.className = 'binding-label';
+            label.textContent = binding.label;
+            row.appendChild(label);
+            
+            // Each bound key and gamepad button, plus an empty slot to add another
+            [...binding.keys, null].forEach((code, index) => {
+                const text = code === null ? '+' : InputManager.keyName(code);
+                row.appendChild(this.createBindingSlot(action, 'keys', index, text));
+            });
+            [...binding.buttons, null].forEach((button, index) => {
+                const text = '🎮 ' + (button === null ? '+' : InputManager.buttonName(button));
+                row.appendChild(this.createBindingSlot(action, 'buttons', index, text));
+            });
+            
+            list.appendChild(row);
+        });
+    }
+    
+    createBindingSlot(action, type, index, text) {
+        const slot = document.createElement('button');
+        slot.className = 'binding-slot';
+        slot.textContent = text;
+        slot.addEventListener('click', () => this.startRebinding(slot, action, type, index, text));
+        return slot;
+    }
+    
+    startRebinding(slot, action, type, index, text) {
+        // Only one slot listens at a time
+        if (this.waitingSlot) {
+            this.waitingSlot.element.classList.remove('waiting');
+            this.waitingSlot.element.textContent = this.waitingSlot.text;
+        }
+        this.waitingSlot = { element: slot, text };
+        
+        slot.classList.add('waiting');
+        slot.textContent = type === 'keys' ? 'Press a key…' : 'Press a button…';
+        document.getElementById('bindings-hint').textContent = type === 'keys'
+            ? 'Press the new key (Esc cancels)'
+            : 'Press a button on your gamepad (Esc cancels)';
+        
+        this.input.captureNext(type, (value) => {
+            if (value !== null) {
+                this.input.rebind(action, type, index, value);
+                console.log(`🎮 ${action} ${type}[${index}] bound to ${value}`);
+            }
+            this.updateBindingsDisplay();
+        });
+    }
+    
+    showScores() {
+        this.gameState = GameStates.SCORES;
+        this.scoresMode = this.mode;
+        this.scoresView = this.difficulty;
+        this.showScreen('scores-screen');
+        this.setScoresStatus('');
+        this.updateHighScoresDisplay();
+    }
+    
+    startGame() {
+        // Drop anything left over from a previous (possibly unfinished) run
+        this.cleanupDramaticGameOver();
+        this.hidePauseOverlay();
+        
+        this.gameState = GameStates.PLAYING;
+        this.showScreen('game-screen');
+        this.resetGame();
+        this.recorder.start({
+            seed: this.sim.random.seed,
+            version: this.version,
+            mode: this.mode,
+            difficulty: this.difficulty,
+            waves: true,
+            date: new Date().toISOString()
+        });
+        this.lastReplay = null;
+        this.startLoop();
+        this.audio.setMusicPlaying(true);
+        
+        // Starting with the device the wrong way round goes straight to the rotate prompt
+        this.updateRotateOverlay();
+    }
+    
+    startLoop() {
+        // Never run two loops at once (e.g. a quick pause/resume before the next frame)
+        cancelAnimationFrame(this.animationFrameId);
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
+    }
+    
+    handleAction(action) {
+        if (action === 'pause') {
+            this.togglePause();
+        } else if (action === 'mute') {
+            this.toggleMute();
+        } else if (action === 'confirm') {
+            // Gamepad A is jump as well: the press that starts or resumes a run shouldn't jump
+            if (this.gameState !== GameStates.PLAYING) {
+                this.input.holdOver('jump');
+            }
+            this.confirm();
+        }
+    }
+    
+    // Confirm (Enter / gamepad A) presses the obvious button on each screen
+    confirm() {
+        switch (this.gameState) {
+            case GameStates.MENU:
+                if (!document.getElementById('play-button').disabled) {
+                    this.startGame();
+                }
+                break;
+            case GameStates.PAUSED:
+                this.resumeGame();
+                break;
+            case GameStates.GAME_OVER:
+                if (!document.getElementById('new-highscore').classList.contains('hidden')) {
+                    this.saveHighScore();
+                } else {
+                    this.startGame();
+                }
+                break;
+            case GameStates.SCORES:
+            case GameStates.CONTROLS:
+                this.showMenu();
+                break;
+        }
+    }
+    
+    togglePause() {
+        if (this.gameState === GameStates.PLAYING) {
+            this.pauseGame();
+        } else if (this.gameState === GameStates.PAUSED) {
+            this.resumeGame();
+        }
+    }
+    
+    pauseGame() {
+        if (this.gameState !== GameStates.PLAYING) return;
+        
+        this.gameState = GameStates.PAUSED;
+        cancelAnimationFrame(this.animationFrameId);
+        
+        // Keys released while paused would otherwise stay held down
+        this.input.releaseAll();
+        this.audio.setMusicPlaying(false);
+        this.reactions.pause();
+        
+        // A paused replay keeps its own controls on screen instead of the pause menu
+        if (this.replay) {
+            this.updateReplayControls();
+            return;
+        }
+        document.getElementById('finish-button').classList.toggle('hidden', !this.sim.mode.canFinish);
+        document.getElementById('pause-overlay').classList.remove('hidden');
+        console.log('⏸️ Game paused');
+    }
+    
+    resumeGame() {
+        if (this.gameState !== GameStates.PAUSED || this.needsRotation()) return;
+        
+        // Playing a finished replay watches it again from the start
+        if (this.replay && this.replayEnded) {
+            this.seekReplay(0);
+        }
+        
+        this.gameState = GameStates.PLAYING;
+        this.hidePauseOverlay();
+        this.startLoop();
+        this.audio.setMusicPlaying(!this.replay); // replays play sound effects only
+        this.reactions.resume();
+        this.updateReplayControls();
+        console.log('▶️ Game resumed');
+    }
+    
+    hidePauseOverlay() {
+        document.getElementById('pause-overlay').classList.add('hidden');
+    }
+    
+    // Finish Run (pause menu, Zen): the run ends here and its score counts
+    finishRun() {
+        if (this.gameState !== GameStates.PAUSED || !this.sim.mode.canFinish) return;
+        
+        this.hidePauseOverlay();
+        this.sim.finish();
+    }
+    
+    quitToMenu() {
+        this.recorder.stop();
+        this.audio.setMusicPlaying(false);
+        document.getElementById('rotate-overlay').classList.add('hidden');
+        this.sim.timeline.clear();
+        this.cleanupDramaticGameOver();
+        this.hidePauseOverlay();
+        this.showMenu();
     }
     
-    startGame() {
-        this.gameState = GameStates.PLAYING;
-        this.showScreen('game-screen');
-        this.resetGame();
-        this.gameLoop();
-    }
-    
-    resetGame() {
-        this.score = 0;
-        this.level = 1;
-        this.lives = 3;
-        this.gameSpeed = 0.7; // Start slower
-        this.player.x = this.canvas.width / 2 - this.player.width / 2;
-        this.fallingObjects = [];
-        this.objectSpawnRate = 0.004; // Even less food spawning
-        this.badFoodChance = 0.2;
+    // seed picks the run's spawns; a replay passes the one it was recorded with
+    resetGame(seed = SeededRandom.randomSeed()) {
+        // Also clears the timeline, which cancels every timed effect at once
+        this.sim.reset(seed);
+        this.reactionCooldown = null;
+        this.scorePopups = [];
+        this.waveBanner = null;
+        this.dragTargetX = null;
+        this.particles.clear();
         this.updateUI();
     }
     
     updateUI() {
-        document.getElementById('current-score').textContent = this.score;
-        document.getElementById('current-level').textContent = this.level;
-        document.getElementById('current-lives').textContent = this.lives;
+        document.getElementById('current-score').textContent = this.sim.score;
+        document.getElementById('current-level').textContent = this.sim.level;
+        document.getElementById('current-lives').textContent = this.sim.lives;
+        document.getElementById('lives-item').classList.toggle('hidden', !this.sim.hasLives);
     }
     
-    gameLoop(currentTime = 0) {
+    gameLoop(currentTime) {
         if (this.gameState !== GameStates.PLAYING) return;
         
-        const deltaTime = currentTime - this.lastTime;
+        // The first frame of a run only establishes the time base
+        if (this.lastTime === null) {
+            this.lastTime = currentTime;
+        }
+        
+        // Replays can run faster than real time
+        const frameTime = Math.min(currentTime - this.lastTime, MAX_FRAME_TIME);
         this.lastTime = currentTime;
+        this.accumulator += frameTime * this.replaySpeed;
+        
+        // Catch the simulation up in fixed steps, leaving any remainder for next frame
+        while (this.accumulator >= FIXED_TIMESTEP && this.gameState === GameStates.PLAYING) {
+            this.update(FIXED_TIMESTEP);
+            this.accumulator -= FIXED_TIMESTEP;
+        }
         
-        this.update(deltaTime);
         this.render();
+        this.updateReplayControls();
         
-        requestAnimationFrame((time) => this.gameLoop(time));
+        this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
     }
     
     update(deltaTime) {
-        // Store deltaTime for debugging
-        this.lastDeltaTime = deltaTime;
-        
-        // Update player position
-        this.updatePlayer();
-        
-        // Update player animation
-        this.updatePlayerAnimation(deltaTime);
-        
-        // Spawn falling objects
-        this.spawnObjects();
-        
-        // Update falling objects
-        this.updateFallingObjects();
-        
-        // Check collisions
-        this.checkCollisions();
-        
-        // Update difficulty
-        this.updateDifficulty();
-        
-        // Check game over (but don't trigger immediately if dramatic game over is in progress)
-        if (this.lives <= 0 && !this.dramaticGameOverInProgress) {
-            this.gameOver();
+        // A run finished from the pause menu stops where its recording does
+        if (this.replay && this.sim.tick >= this.replay.ticks && !this.sim.over) {
+            this.sim.finish();
+            return;
         }
-    }
-    
-    updatePlayer() {
-        let isMoving = false;
         
-        // Move left
-        if ((this.keys['a'] || this.keys['arrowleft']) && this.player.x > 0) {
-            this.player.x -= this.player.speed;
-            this.player.facingRight = false; // Face left when moving left
-            isMoving = true;
-        }
+        // This step's input, live or from a replay
+        const input = this.nextTickInput();
         
-        // Move right
-        if ((this.keys['d'] || this.keys['arrowright']) && this.player.x < this.canvas.width - this.player.width) {
-            this.player.x += this.player.speed;
-            this.player.facingRight = true; // Face right when moving right
-            isMoving = true;
-        }
+        // Run the rules; catches, hits etc. come back through handleSimEvent()
+        this.sim.step(deltaTime, input);
         
-        // Update player state based on movement
-        if (this.player.state === 'eating' || this.player.state === 'hit') {
-            // Keep eating or hit state for a bit longer
-        } else if (isMoving) {
-            this.player.state = 'walking';
-        } else {
-            this.player.state = 'idle';
-        }
+        // Update particles and score popups
+        this.particles.update(deltaTime);
+        this.updateScorePopups(deltaTime);
     }
     
-    updatePlayerAnimation(deltaTime) {
-        // Update animation timer
-        this.player.animationTimer += deltaTime;
-        
-         // Use different animation speeds based on state
-         let currentAnimationSpeed;
-         if (this.player.state === 'walking') {
-             currentAnimationSpeed = this.player.walkingAnimationSpeed;
-         } else if (this.player.state === 'hit') {
-             currentAnimationSpeed = 150; // Medium speed for hit animation
-         } else if (this.player.state === 'eating') {
-             currentAnimationSpeed = 300; // Slower speed for eating animation to make it more visible
-         } else {
-             currentAnimationSpeed = this.player.animationSpeed; // Default for idle
-         }
-        
-         // Check if it's time to advance to the next frame
-         if (this.player.animationTimer >= currentAnimationSpeed) {
-             this.player.animationTimer = 0;
-             
-             // Get the current sprite array for the player's state
-             const currentSprites = this.sprites[this.player.state];
-             if (currentSprites && currentSprites.length > 0) {
-                 const oldFrame = this.player.animationFrame;
-                 this.player.animationFrame = (this.player.animationFrame + 1) % currentSprites.length;
-                 
-                 // Debug eating animation frame changes
-                 if (this.player.state === 'eating') {
-                     console.log(`🔄 EATING FRAME CHANGE: ${oldFrame} → ${this.player.animationFrame} (${currentSprites.length} total frames, speed: ${currentAnimationSpeed}ms)`);
-                 }
-             } else if (this.player.state === 'eating') {
-                 console.log('⚠️ EATING: No sprites available for frame advancement');
-             }
-         } else if (this.player.state === 'eating') {
-             // Show eating animation timer progress
-             console.log(`⏱️ EATING: Animation timer: ${this.player.animationTimer}/${currentAnimationSpeed}ms (${Math.round((this.player.animationTimer/currentAnimationSpeed)*100)}%)`);
-         }
-    }
-    
-    spawnObjects() {
-        if (Math.random() < this.objectSpawnRate && this.foodImagesLoaded) {
-            const isGoodFood = Math.random() > this.badFoodChance;
-            const foodArray = isGoodFood ? this.goodFoodImages : this.badFoodImages;
-            const foodImage = foodArray[Math.floor(Math.random() * foodArray.length)];
-            
-            const object = {
-                x: Math.random() * (this.canvas.width - 150), // Account for much larger size
-                y: -150,
-                width: 150, // Visual size - Twice as big (75 * 2)
-                height: 150, // Visual size - Twice as big (75 * 2)
-                // Smaller hitboxes for bad food
-                hitboxWidth: isGoodFood ? 150 : 100, // Bad food has smaller hitbox
-                hitboxHeight: isGoodFood ? 150 : 100, // Bad food has smaller hitbox
-                speed: 1.5 + (this.level * 0.3) + Math.random() * 1.5, // Slower initial speed
-                foodImage: foodImage,
-                isGood: isGoodFood,
-                points: isGoodFood ? (10 + this.level * 5) : 0
-            };
-            
-            this.fallingObjects.push(object);
+    // The input for this step: from the replay being watched, or read live and recorded.
+    // Touch steering is stored as where the finger or tilt was, not as the distance moved,
+    // so it re-simulates from the player's position like live play does.
+    nextTickInput() {
+        if (this.replay) {
+            return this.replay.inputAt(this.sim.tick);
         }
+        
+        return this.recorder.record({
+            axis: this.input.axis(),
+            dragX: this.controlMode === 'drag' ? this.dragTargetX : null,
+            tilt: this.controlMode === 'tilt' ? this.tiltSteer : 0,
+            jump: this.input.isDown('jump')
+        });
     }
     
-    updateFallingObjects() {
-        for (let i = this.fallingObjects.length - 1; i >= 0; i--) {
-            const obj = this.fallingObjects[i];
-            obj.y += obj.speed * this.gameSpeed;
-            
-            // Remove objects that have fallen off screen
-            if (obj.y > this.canvas.height) {
-                // No heart penalty for missing food, just remove it
-                this.fallingObjects.splice(i, 1);
-            }
-        }
+    spawnScorePopup(x, y, points, multiplier) {
+        this.scorePopups.push({
+            x,
+            y,
+            text: multiplier > 1 ? `+${points} x${multiplier}` : `+${points}`,
+            color: multiplier > 1 ? '#FFD700' : '#00E676',
+            age: 0,
+            lifetime: 900
+        });
     }
     
-    checkCollisions() {
-        for (let i = this.fallingObjects.length - 1; i >= 0; i--) {
-            const obj = this.fallingObjects[i];
-            
-            // Collision detection using hitbox dimensions
-            const hitboxX = obj.x + (obj.width - obj.hitboxWidth) / 2; // Center the hitbox
-            const hitboxY = obj.y + (obj.height - obj.hitboxHeight) / 2; // Center the hitbox
-            
-            if (hitboxX < this.player.x + this.player.width &&
-                hitboxX + obj.hitboxWidth > this.player.x &&
-                hitboxY < this.player.y + this.player.height &&
-                hitboxY + obj.hitboxHeight > this.player.y) {
-                
-                if (obj.isGood) {
-                    // Good food - add points
-                    this.score += obj.points;
-                    this.createParticleEffect(obj.x + obj.width/2, obj.y + obj.height/2, '#4CAF50');
-                    
-                     // Trigger eating animation
-                     console.log('Triggering eating animation - will repeat for 1.5 seconds');
-                     console.log('Current deltaTime in game loop:', this.lastDeltaTime || 'unknown');
-                     this.player.state = 'eating';
-                     this.player.animationFrame = 0;
-                     this.player.animationTimer = 0;
-                     this.player.eatingStartTime = Date.now();
-                     
-                     // Force immediate animation advancement for testing
-                     console.log('🔧 Starting eating animation with forced advancement');
-                     
-                     // Backup animation system - force frame cycling during eating
-                     this.startForcedEatingAnimation();
-                     
-                     // Note: Animation will automatically stop after 2 cycles
-                } else {
-                    // Bad food - lose a heart
-                    this.lives--;
-                    this.createParticleEffect(obj.x + obj.width/2, obj.y + obj.height/2, '#F44336');
-                    
-                    // Check if this is the final hit
-                    if (this.lives <= 0) {
-                        // Final hit - start dramatic game over sequence
-                        console.log('Final hit - starting dramatic game over');
-                        this.startDramaticGameOver();
-                    } else {
-                        // Regular hit animation
-                        console.log('Triggering hit animation');
-                        this.player.state = 'hit';
-                        this.player.animationFrame = 0;
-                        this.player.animationTimer = 0;
-                        
-                        // Reset hit state after animation duration
-                        setTimeout(() => {
-                            if (this.player.state === 'hit') {
-                                console.log('Resetting hit animation to idle');
-                                this.player.state = 'idle';
-                            }
-                        }, 1200); // Show hit animation for 1200ms (longer for 3-frame animation)
-                        
-                        // Screen shake effect
-                        this.screenShake();
-                    }
-                }
-                
-                // Remove the object
-                this.fallingObjects.splice(i, 1);
-                this.updateUI();
+    updateScorePopups(deltaTime) {
+        for (let i = this.scorePopups.length - 1; i >= 0; i--) {
+            const popup = this.scorePopups[i];
+            popup.age += deltaTime;
+            popup.y -= 60 * deltaTime / 1000; // drift upward
+            if (popup.age >= popup.lifetime) {
+                this.scorePopups.splice(i, 1);
             }
         }
     }
     
-    updateDifficulty() {
-        const newLevel = Math.floor(this.score / 200) + 1;
-        if (newLevel > this.level) {
-            const oldLevel = this.level;
-            this.level = newLevel;
-            this.gameSpeed += 0.1;
-            this.objectSpawnRate += 0.002; // Much smaller increase per level
-            this.badFoodChance = Math.min(0.5, 0.2 + (this.level - 1) * 0.05); // Max 50% bad food
-            this.updateUI();
-            
-            // Show level up animation
-            console.log(`🎉 Level up! ${oldLevel} → ${this.level}`);
-            this.showLevelUpAnimation();
-        }
-    }
-    
-    createParticleEffect(x, y, color) {
-        // Simple particle effect - could be enhanced
-        const particles = [];
-        for (let i = 0; i < 8; i++) {
-            particles.push({
-                x: x,
-                y: y,
-                vx: (Math.random() - 0.5) * 10,
-                vy: (Math.random() - 0.5) * 10,
-                life: 30,
-                color: color
-            });
-        }
+    setDifficulty(difficulty) {
+        if (!DifficultyPresets[difficulty]) return;
         
-        // Animate particles (simplified)
-        const animateParticles = () => {
-            this.ctx.save();
-            particles.forEach((particle, index) => {
-                if (particle.life <= 0) {
-                    particles.splice(index, 1);
-                    return;
-                }
-                
-                this.ctx.globalAlpha = particle.life / 30;
-                this.ctx.fillStyle = particle.color;
-                this.ctx.fillRect(particle.x, particle.y, 3, 3);
-                
-                particle.x += particle.vx;
-                particle.y += particle.vy;
-                particle.life--;
-            });
-            this.ctx.restore();
-            
-            if (particles.length > 0) {
-                setTimeout(animateParticles, 16);
-            }
-        };
+        this.difficulty = difficulty;
+        this.sim.difficultyCurve = new DifficultyCurve(DifficultyPresets[difficulty]);
+        localStorage.setItem('fallingFoodDifficulty', difficulty);
         
-        animateParticles();
+        this.highScores = this.loadHighScores(this.mode, difficulty);
+        this.scoresView = difficulty;
+        this.updateDifficultyButtons();
+    }
+    
+    loadDifficultyPreference() {
+        const saved = localStorage.getItem('fallingFoodDifficulty');
+        return DifficultyPresets[saved] ? saved : DEFAULT_DIFFICULTY;
     }
     
     screenShake() {
-        const originalTransform = this.canvas.style.transform;
-        let shakeIntensity = 10;
-        let shakeCount = 0;
+        // Ten shakes 50ms apart, each 20% weaker than the last
+        const shakeInterval = 50;
         const maxShakes = 10;
         
-        const shake = () => {
-            if (shakeCount >= maxShakes) {
-                this.canvas.style.transform = originalTransform;
-                return;
+        this.sim.timeline.cancel(this.shakeTween);
+        this.shakeTween = this.sim.timeline.tween({
+            duration: shakeInterval * maxShakes,
+            onUpdate: (progress) => {
+                const shakeCount = Math.floor(progress * maxShakes);
+                const shakeIntensity = 10 * Math.pow(0.8, shakeCount);
+                const x = (Math.random() - 0.5) * shakeIntensity;
+                const y = (Math.random() - 0.5) * shakeIntensity;
+                this.canvas.style.transform = `translate(${x}px, ${y}px)`;
+            },
+            onComplete: () => {
+                this.canvas.style.transform = '';
             }
-            
-            const x = (Math.random() - 0.5) * shakeIntensity;
-            const y = (Math.random() - 0.5) * shakeIntensity;
-            this.canvas.style.transform = `translate(${x}px, ${y}px)`;
-            
-            shakeIntensity *= 0.8;
-            shakeCount++;
-            
-            setTimeout(shake, 50);
-        };
-        
-        shake();
+        });
     }
     
     render() {
+        // Draw in playfield units from here on
+        this.ctx.setTransform(this.renderScale, 0, 0, this.renderScale, 0, 0);
+        
         // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.width, this.height);
         
         // Draw background texture
         this.drawBackground();
@@ -939,6 +1334,14 @@ class FallingFoodGame {
         // Draw falling objects
         this.drawFallingObjects();
         
+        if (this.showCollisionMasks) {
+            this.drawCollisionMasks();
+        }
+        
+        // Draw particles and score popups on top of food, under the UI
+        this.particles.render(this.ctx);
+        this.drawScorePopups();
+        
         // Draw UI elements
         this.drawGameUI();
         
@@ -947,6 +1350,10 @@ class FallingFoodGame {
             this.drawLevelUpAnimation();
         }
         
+        if (this.waveBanner) {
+            this.drawWaveBanner();
+        }
+        
         // Draw game over text if active
         if (this.gameOverTextActive) {
             this.drawGameOverText();
@@ -954,46 +1361,7 @@ class FallingFoodGame {
     }
     
     drawPlayer() {
-        let spriteToUse = null;
-        
-        // Special handling for eating animation
-        if (this.player.state === 'eating') {
-            console.log('EATING STATE DETECTED');
-            console.log('Eating sprites loaded:', this.spritesLoaded.eat);
-            console.log('Eating sprites count:', this.sprites.eat.length);
-            console.log('Current animation frame:', this.player.animationFrame);
-            
-            if (this.sprites.eat.length > 0) {
-                const eatSprite = this.sprites.eat[this.player.animationFrame % this.sprites.eat.length];
-                console.log('Eat sprite selected:', eatSprite ? 'found' : 'null');
-                if (eatSprite && eatSprite.complete) {
-                    spriteToUse = eatSprite;
-                    console.log('Using eat sprite successfully');
-                } else {
-                    console.log('Eat sprite not ready, using fallback');
-                }
-            }
-        }
-        
-        // Try to get the sprite for the current state (if not eating or eating failed)
-        if (!spriteToUse && this.spritesLoaded[this.player.state]) {
-            const currentSprites = this.sprites[this.player.state];
-            if (currentSprites && currentSprites.length > 0) {
-                spriteToUse = currentSprites[this.player.animationFrame % currentSprites.length];
-            }
-        }
-        
-        // If current state sprite isn't ready, always fallback to idle (if available)
-        if (!spriteToUse && this.spritesLoaded.idle) {
-            const idleSprites = this.sprites.idle;
-            if (idleSprites && idleSprites.length > 0) {
-                // Use a simple frame for idle fallback
-                spriteToUse = idleSprites[0];
-                if (this.player.state === 'eating') {
-                    console.log('EATING: Falling back to idle sprite');
-                }
-            }
-        }
+        const spriteToUse = this.sim.getPlayerFrame();
         
         // Draw the sprite if we have one
         if (spriteToUse) {
@@ -1002,37 +1370,60 @@ class FallingFoodGame {
             // Only use rectangle fallback if absolutely no sprites are loaded yet
             // This should only happen briefly at the very start
             this.drawPlayerFallback();
-            if (this.player.state === 'eating') {
+            if (this.sim.player.state === 'eating') {
                 console.log('EATING: Using rectangle fallback - this is bad!');
             }
         }
+        
+        if (this.sim.powerUps.isActive('shield')) {
+            this.drawShield();
+        }
+    }
+    
+    drawShield() {
+        // Translucent bubble around the player while a shield is up
+        const centerX = this.sim.player.x + this.sim.player.width / 2;
+        const centerY = this.sim.player.y + this.sim.player.height / 2;
+        const radius = Math.max(this.sim.player.width, this.sim.player.height) * 0.6;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(64, 196, 255, 0.15)';
+        this.ctx.strokeStyle = 'rgba(64, 196, 255, 0.8)';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.restore();
     }
     
-    drawSprite(sprite) {
+    drawSprite(frame) {
         // Save the current context state
         this.ctx.save();
         
         // If facing left, flip the sprite horizontally
-        if (!this.player.facingRight) {
-            this.ctx.translate(this.player.x + this.player.width, this.player.y);
+        if (!this.sim.player.facingRight) {
+            this.ctx.translate(this.sim.player.x + this.sim.player.width, this.sim.player.y);
             this.ctx.scale(-1, 1);
             
             // Draw the flipped sprite
             this.ctx.drawImage(
-                sprite,
+                frame.image,
+                frame.x, frame.y, frame.width, frame.height,
                 0,
                 0,
-                this.player.width,
-                this.player.height
+                this.sim.player.width,
+                this.sim.player.height
             );
         } else {
             // Draw the sprite normally (facing right)
             this.ctx.drawImage(
-                sprite,
-                this.player.x,
-                this.player.y,
-                this.player.width,
-                this.player.height
+                frame.image,
+                frame.x, frame.y, frame.width, frame.height,
+                this.sim.player.x,
+                this.sim.player.y,
+                this.sim.player.width,
+                this.sim.player.height
             );
         }
         
@@ -1046,25 +1437,32 @@ class FallingFoodGame {
         
         // Use a softer, more sprite-like appearance
         this.ctx.fillStyle = 'rgba(76, 175, 80, 0.8)'; // Semi-transparent green
-        this.ctx.fillRect(this.player.x + 10, this.player.y + 10, this.player.width - 20, this.player.height - 20);
+        this.ctx.fillRect(this.sim.player.x + 10, this.sim.player.y + 10, this.sim.player.width - 20, this.sim.player.height - 20);
         
         // Add a simple character-like shape
         this.ctx.fillStyle = 'rgba(46, 125, 50, 0.9)';
         // Head
         this.ctx.beginPath();
-        this.ctx.arc(this.player.x + this.player.width/2, this.player.y + 30, 20, 0, Math.PI * 2);
+        this.ctx.arc(this.sim.player.x + this.sim.player.width/2, this.sim.player.y + 30, 20, 0, Math.PI * 2);
         this.ctx.fill();
         
         // Body
-        this.ctx.fillRect(this.player.x + this.player.width/2 - 15, this.player.y + 50, 30, 60);
+        this.ctx.fillRect(this.sim.player.x + this.sim.player.width/2 - 15, this.sim.player.y + 50, 30, 60);
         
         this.ctx.restore();
     }
     
     drawFallingObjects() {
-        this.fallingObjects.forEach(obj => {
-            if (obj.foodImage && obj.foodImage.complete) {
-                // Draw food image without any background or shadow
+        this.sim.fallingObjects.forEach(obj => {
+            if (obj.powerUp) {
+                this.drawPowerUp(obj);
+            } else if (obj.foodImage && obj.foodImage.complete) {
+                this.ctx.save();
+                if (obj.high) {
+                    // Golden glow marks food that needs a jump
+                    this.ctx.shadowColor = '#FFD700';
+                    this.ctx.shadowBlur = 25;
+                }
                 this.ctx.drawImage(
                     obj.foodImage,
                     obj.x,
@@ -1072,6 +1470,7 @@ class FallingFoodGame {
                     obj.width,
                     obj.height
                 );
+                this.ctx.restore();
             } else {
                 // Fallback to colored rectangle if image isn't loaded
                 this.ctx.fillStyle = obj.isGood ? '#4CAF50' : '#F44336';
@@ -1080,13 +1479,41 @@ class FallingFoodGame {
         });
     }
     
+    drawCollisionMasks() {
+        this.ctx.save();
+        
+        const frame = this.sim.getPlayerFrame();
+        if (frame && frame.mask) {
+            frame.mask.draw(this.ctx, this.sim.getPlayerBox(), 'rgba(0, 255, 255, 0.35)');
+        }
+        this.ctx.strokeStyle = 'rgba(0, 255, 255, 0.9)';
+        this.ctx.strokeRect(this.sim.player.x, this.sim.player.y, this.sim.player.width, this.sim.player.height);
+        
+        this.sim.fallingObjects.forEach(obj => {
+            const color = obj.isGood || obj.powerUp ? '0, 255, 0' : '255, 0, 255';
+            if (obj.mask) {
+                obj.mask.draw(this.ctx, obj, `rgba(${color}, 0.35)`);
+            }
+            this.ctx.strokeStyle = `rgba(${color}, 0.9)`;
+            this.ctx.strokeRect(
+                obj.x + (obj.width - obj.hitboxWidth) / 2,
+                obj.y + (obj.height - obj.hitboxHeight) / 2,
+                obj.hitboxWidth,
+                obj.hitboxHeight
+            );
+        });
+        
+        this.ctx.restore();
+    }
+    
     drawGameUI() {
         // Draw level progress bar (bigger and brighter with rounded edges)
         const barWidth = 280; // Increased from 200
         const barHeight = 30; // Increased from 20
         const barX = 10;
         const barY = 10;
-        const progressWidth = (this.score % 200) / 200 * barWidth;
+        const levelProgress = Math.min(1, (this.sim.score - this.sim.levelStartScore) / this.sim.pointsToLevelUp);
+        const progressWidth = levelProgress * barWidth;
         const borderRadius = 15; // Rounded corners
         
         // Draw background with rounded corners
@@ -1110,8 +1537,141 @@ class FallingFoodGame {
         this.ctx.textAlign = 'left';
         this.ctx.fillText('Level Progress', barX, barY + barHeight + 18);
         
-        // Draw hearts in top right
-        this.drawHearts();
+        // Combo counter under the progress bar once a streak gets going
+        if (this.sim.combo >= 2) {
+            const multiplier = this.sim.getComboMultiplier();
+            this.ctx.fillStyle = multiplier > 1 ? '#FF9800' : '#333';
+            this.ctx.font = 'bold 16px Arial';
+            this.ctx.fillText(`Combo ${this.sim.combo}${multiplier > 1 ? `  x${multiplier}` : ''}`, barX, barY + barHeight + 40);
+        }
+        
+        // Active power-ups sit to the right of the progress bar
+        this.drawActivePowerUps(barX + barWidth + 15, barY + barHeight / 2);
+        
+        // Hearts in the top right, in modes that have them; the mode's clock or hunger meter below
+        if (this.sim.hasLives) {
+            this.drawHearts();
+        }
+        if (this.sim.timeLeft !== null) {
+            this.drawClock();
+        }
+        if (this.sim.hunger !== null) {
+            this.drawHungerMeter();
+        }
+    }
+    
+    // Time Attack countdown, turning red for the last ten seconds
+    drawClock() {
+        const seconds = Math.ceil(this.sim.timeLeft / 1000);
+        const text = `⏱️ ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        
+        this.ctx.save();
+        this.ctx.font = 'bold 28px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+        this.ctx.fillStyle = seconds <= 10 ? '#F44336' : '#fff';
+        this.ctx.strokeText(text, this.width - 15, 80);
+        this.ctx.fillText(text, this.width - 15, 80);
+        this.ctx.restore();
+    }
+    
+    // Survival hunger meter, green when full through orange to red when nearly empty
+    drawHungerMeter() {
+        const barWidth = 180;
+        const barHeight = 20;
+        const barX = this.width - 15 - barWidth;
+        const barY = 65;
+        const fullness = this.sim.hunger / this.sim.mode.hunger.max;
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.drawRoundedRect(barX, barY, barWidth, barHeight, 10);
+        
+        if (fullness > 0) {
+            this.ctx.fillStyle = fullness > 0.5 ? '#00E676' : (fullness > 0.25 ? '#FF9800' : '#F44336');
+            this.drawRoundedRect(barX, barY, Math.max(barHeight, fullness * barWidth), barHeight, 10);
+        }
+        
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        this.ctx.lineWidth = 2;
+        this.drawRoundedRectStroke(barX, barY, barWidth, barHeight, 10);
+        
+        this.ctx.fillStyle = '#333';
+        this.ctx.font = '14px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('🍖 Hunger', barX + barWidth, barY + barHeight + 18);
+    }
+    
+    drawScorePopups() {
+        this.ctx.save();
+        this.ctx.font = 'bold 28px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeStyle = '#000';
+        
+        this.scorePopups.forEach(popup => {
+            this.ctx.globalAlpha = 1 - popup.age / popup.lifetime;
+            this.ctx.fillStyle = popup.color;
+            this.ctx.strokeText(popup.text, popup.x, popup.y);
+            this.ctx.fillText(popup.text, popup.x, popup.y);
+        });
+        this.ctx.restore();
+    }
+    
+    drawPowerUp(obj) {
+        const type = PowerUpTypes[obj.powerUp];
+        const centerX = obj.x + obj.width / 2;
+        const centerY = obj.y + obj.height / 2;
+        
+        // Glowing bubble with the power-up's icon
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.strokeStyle = type.color;
+        this.ctx.lineWidth = 4;
+        this.ctx.shadowColor = type.color;
+        this.ctx.shadowBlur = 15;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, obj.width / 2 - 4, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        this.ctx.shadowBlur = 0;
+        this.ctx.font = `${obj.width * 0.5}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(type.icon, centerX, centerY);
+        this.ctx.restore();
+    }
+    
+    drawActivePowerUps(startX, centerY) {
+        const radius = 15;
+        const spacing = 40;
+        
+        this.ctx.save();
+        this.sim.powerUps.list().forEach(({ type, fraction }, index) => {
+            const centerX = startX + radius + index * spacing;
+            
+            // Background disc
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Countdown ring, draining clockwise from the top
+            this.ctx.strokeStyle = type.color;
+            this.ctx.lineWidth = 4;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, -Math.PI / 2, -Math.PI / 2 + fraction * Math.PI * 2);
+            this.ctx.stroke();
+            
+            this.ctx.font = '16px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(type.icon, centerX, centerY + 1);
+        });
+        this.ctx.restore();
     }
     
     drawBackground() {
@@ -1120,10 +1680,10 @@ class FallingFoodGame {
         
         // Draw white background first
         this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
         
         // Draw texture overlay if available
-        if (this.backgroundTexture && this.backgroundTexture.complete) {
+        if (this.backgroundTexture) {
             // Set 20% opacity for the texture
             this.ctx.globalAlpha = 0.2;
             
@@ -1133,7 +1693,7 @@ class FallingFoodGame {
                 0, 0, // source x, y
                 this.backgroundTexture.width, this.backgroundTexture.height, // source width, height
                 0, 0, // destination x, y
-                this.canvas.width, this.canvas.height // destination width, height (covers entire canvas)
+                this.width, this.height // destination width, height (covers entire canvas)
             );
         }
         
@@ -1146,12 +1706,11 @@ class FallingFoodGame {
         this.ctx.save();
         
         // Calculate center position
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
         
-        // Animation progress (0 to 1)
-        this.levelUpAnimationTime += 16; // Approximate frame time
-        const progress = Math.min(this.levelUpAnimationTime / this.levelUpAnimationDuration, 1);
+        // Animation progress (0 to 1), driven by the level up tween
+        const progress = this.levelUpAnimationProgress;
         
         // Calculate scale and opacity based on progress
         let scale, opacity;
@@ -1191,24 +1750,48 @@ class FallingFoodGame {
         this.ctx.font = `${100 * scale}px Arial`;
         
         const levelNumberY = centerY + 50;
-        this.ctx.strokeText(this.level.toString(), centerX, levelNumberY);
-        this.ctx.fillText(this.level.toString(), centerX, levelNumberY);
+        this.ctx.strokeText(this.sim.level.toString(), centerX, levelNumberY);
+        this.ctx.fillText(this.sim.level.toString(), centerX, levelNumberY);
         
         // Restore context
         this.ctx.restore();
     }
     
+    drawWaveBanner() {
+        const { title, subtitle, color, progress } = this.waveBanner;
+        const y = this.height * 0.22;
+        
+        // Fade in over the first 15%, out over the last 20%
+        this.ctx.save();
+        this.ctx.globalAlpha = Math.min(1, progress / 0.15, (1 - progress) / 0.2);
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.strokeStyle = '#000';
+        
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 4;
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.strokeText(title, this.width / 2, y);
+        this.ctx.fillText(title, this.width / 2, y);
+        
+        this.ctx.fillStyle = '#fff';
+        this.ctx.lineWidth = 3;
+        this.ctx.font = 'bold 24px Arial';
+        this.ctx.strokeText(subtitle, this.width / 2, y + 45);
+        this.ctx.fillText(subtitle, this.width / 2, y + 45);
+        this.ctx.restore();
+    }
+    
     drawGameOverText() {
         // Save context
         this.ctx.save();
         
         // Calculate center position
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
         
-        // Animation progress (0 to 1)
-        this.gameOverTextTime += 16; // Approximate frame time
-        const progress = Math.min(this.gameOverTextTime / this.gameOverTextDuration, 1);
+        // Animation progress (0 to 1), driven by the game over text tween
+        const progress = this.gameOverTextProgress;
         
         // Calculate scale and opacity with pulsing effect
         let scale, opacity;
@@ -1226,7 +1809,7 @@ class FallingFoodGame {
         
         // Draw semi-transparent dark background
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
         
         // Draw "GAME OVER" text
         this.ctx.fillStyle = '#FF4444'; // Red color
@@ -1276,14 +1859,15 @@ class FallingFoodGame {
     drawHearts() {
         const heartSize = 35; // Increased from 25
         const heartSpacing = 40; // Increased spacing to accommodate bigger hearts
-        const startX = this.canvas.width - 130; // Moved left to fit bigger hearts
+        const heartCount = Math.max(this.sim.startingLives, this.sim.lives); // Extra hearts add slots
+        const startX = this.width - 50 - (heartCount - 1) * heartSpacing; // Right-aligned row of hearts
         const startY = 15;
         
         this.ctx.font = `${heartSize}px Arial`;
         this.ctx.textAlign = 'center';
         
-        for (let i = 0; i < 3; i++) {
-            if (i < this.lives) {
+        for (let i = 0; i < heartCount; i++) {
+            if (i < this.sim.lives) {
                 this.ctx.fillStyle = '#F44336'; // Red heart
                 this.ctx.fillText('❤️', startX + (i * heartSpacing), startY + heartSize/2);
             } else {
@@ -1294,17 +1878,28 @@ class FallingFoodGame {
     }
     
     gameOver() {
+        if (this.replay) {
+            this.endReplay();
+            return;
+        }
+        
+        const result = this.sim.result();
         this.gameState = GameStates.GAME_OVER;
+        this.lastReplay = this.recorder.recording ? this.recorder.finish(result) : null;
         
         // Clean up dramatic game over effects
         this.cleanupDramaticGameOver();
         
-        // Update final score display
-        document.getElementById('final-score').textContent = this.score;
-        document.getElementById('final-level').textContent = this.level;
+        // Update final score display; the title says how the run ended
+        document.getElementById('gameover-title').textContent = GAME_OVER_TITLES[this.sim.endReason] || GAME_OVER_TITLES.hearts;
+        document.getElementById('final-mode').textContent = this.sim.mode.label;
+        document.getElementById('final-score').textContent = result.score;
+        document.getElementById('final-level').textContent = result.level;
+        document.getElementById('final-combo').textContent = result.bestCombo;
+        document.getElementById('final-difficulty').textContent = DifficultyPresets[this.difficulty].label;
         
         // Check if it's a high score
-        if (this.isHighScore(this.score)) {
+        if (this.isHighScore(result.score)) {
             document.getElementById('new-highscore').classList.remove('hidden');
             document.getElementById('player-name').focus();
         } else {
@@ -1315,31 +1910,26 @@ class FallingFoodGame {
     }
     
     cleanupDramaticGameOver() {
-        // Clear intervals
-        if (this.continuousCryingInterval) {
-            clearInterval(this.continuousCryingInterval);
-            this.continuousCryingInterval = null;
-        }
-        if (this.zoomInterval) {
-            clearInterval(this.zoomInterval);
-            this.zoomInterval = null;
-        }
+        // Stop the looping effects (the simulation ends its own crying loop)
+        this.sim.timeline.cancel(this.zoomInterval);
+        this.sim.timeline.cancel(this.shakeTween);
+        this.zoomInterval = null;
+        this.shakeTween = null;
         
         // Reset canvas transform
-        const canvas = document.getElementById('game-canvas');
-        canvas.style.transform = '';
-        canvas.style.transformOrigin = '';
-        canvas.style.transition = '';
+        this.canvas.style.transform = '';
+        this.canvas.style.transformOrigin = '';
+        
+        // Hide any reaction clip still on screen
+        this.reactions.stop();
         
         // Reset animation flags
         this.gameOverTextActive = false;
         this.levelUpAnimationActive = false;
-        this.dramaticGameOverInProgress = false;
     }
     
     isHighScore(score) {
-        if (this.highScores.length < 10) return true;
-        return score > this.highScores[this.highScores.length - 1].score;
+        return this.scores.qualifies(this.version, this.mode, this.difficulty, score);
     }
     
     saveHighScore() {
@@ -1347,46 +1937,308 @@ class FallingFoodGame {
         
         const newScore = {
             name: playerName,
-            score: this.score,
-            level: this.level,
+            ...this.sim.result(),
             date: new Date().toLocaleDateString()
         };
         
-        this.highScores.push(newScore);
-        this.highScores.sort((a, b) => b.score - a.score);
-        this.highScores = this.highScores.slice(0, 10); // Keep top 10
+        // Keep the run so it can be watched from the scores table
+        if (this.lastReplay) {
+            newScore.replayId = this.replays.save(this.lastReplay);
+            this.lastReplay = null;
+        }
         
-        localStorage.setItem('fallingFoodHighScores', JSON.stringify(this.highScores));
+        // The store validates the entry and keeps the top ten; the shared board gets it too,
+        // minus the replay id, which only means something on this device
+        this.highScores = this.scores.add(this.version, this.mode, this.difficulty, newScore);
+        this.replays.prune(this.scores.replayIds());
+        const { replayId, ...sharedScore } = newScore;
+        this.leaderboard.submit(this.version, this.mode, this.difficulty, sharedScore);
         
         document.getElementById('new-highscore').classList.add('hidden');
         document.getElementById('player-name').value = '';
         
+        this.scoresMode = this.mode;
+        this.scoresView = this.difficulty;
         this.updateHighScoresDisplay();
     }
     
-    loadHighScores() {
-        const saved = localStorage.getItem('fallingFoodHighScores');
-        return saved ? JSON.parse(saved) : [];
+    loadHighScores(mode, difficulty) {
+        if (!this.version) return [];
+        return this.scores.get(this.version, mode, difficulty);
     }
     
     updateHighScoresDisplay() {
+        const mode = this.scoresMode;
+        const view = this.scoresView;
+        const scores = mode === this.mode && view === this.difficulty ? this.highScores : this.loadHighScores(mode, view);
+        this.updateModeButtons();
+        this.updateDifficultyButtons();
+        this.renderHighScores(scores, this.leaderboard.enabled ? 'local' : null);
+        
+        // On the scores screen, swap in the shared board if the server answers
+        if (this.leaderboard.enabled && this.version && this.gameState === GameStates.SCORES) {
+            const version = this.version;
+            this.leaderboard.list(version, mode, view).then(shared => {
+                if (this.scoresMode !== mode || this.scoresView !== view || this.version !== version) return;
+                if (shared) {
+                    this.renderHighScores(shared, 'shared');
+                } else {
+                    this.renderHighScores(scores, 'offline');
+                }
+            });
+        }
+    }
+    
+    // source: 'shared' (leaderboard server), 'local' or 'offline' (this device), or null when
+    // there's no server to mention
+    renderHighScores(scores, source) {
         const container = document.getElementById('highscores-list');
+        const sourceLabels = {
+            shared: ' · 🌐 shared leaderboard',
+            local: ' · 📱 this device',
+            offline: ' · 📱 this device (leaderboard offline)'
+        };
+        
+        document.getElementById('scores-character').textContent = this.character
+            ? `${this.character.displayName || this.version}'s scores${sourceLabels[source] || ''}`
+            : '';
+        
+        // Names are player input, so everything goes in as text, never markup
+        container.textContent = '';
+        if (scores.length === 0) {
+            container.appendChild(this.createElement('p', 'highscores-empty', 'No high scores yet. Be the first!'));
+            return;
+        }
+        
+        scores.forEach((score, index) => {
+            const entry = this.createElement('div', 'highscore-entry');
+            const info = this.createElement('div', 'highscore-info');
+            const details = `Level ${score.level}${score.bestCombo ? ` · Combo ${score.bestCombo}` : ''}`;
+            
+            info.append(
+                this.createElement('div', 'highscore-score', score.score),
+                this.createElement('div', 'highscore-level', details)
+            );
+            entry.append(
+                this.createElement('div', 'highscore-rank', `#${index + 1}`),
+                this.createElement('div', 'highscore-name', score.name),
+                info
+            );
+            
+            // Runs recorded on this device can be watched again
+            if (this.replays.has(score.replayId)) {
+                const watch = this.createElement('button', 'replay-watch', '▶');
+                watch.setAttribute('aria-label', `Watch ${score.name}'s run`);
+                watch.addEventListener('click', () => {
+                    const replay = this.replays.get(score.replayId);
+                    if (replay) {
+                        this.watchReplay(replay);
+                    } else {
+                        this.setScoresStatus('This replay is damaged and can\'t be played', true);
+                    }
+                });
+                entry.appendChild(watch);
+            }
+            container.appendChild(entry);
+        });
+    }
+    
+    // Download every table on this device as a JSON file
+    exportHighScores() {
+        this.downloadFile(`falling-food-scores-${new Date().toISOString().slice(0, 10)}.json`, this.scores.export());
+        this.setScoresStatus('Scores exported');
+    }
+    
+    downloadFile(filename, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    // Merge a file made by exportHighScores() into this device's tables,
+    // or start watching a replay file saved from the replay bar
+    async importHighScores(file) {
+        try {
+            const text = await file.text();
+            const data = JSON.parse(text);
+            if (data && data.replay !== undefined) {
+                const replay = ReplayPlayer.fromData(data);
+                if (!replay) throw new Error('This replay file is damaged or from another version of the game');
+                this.watchReplay(replay);
+                return;
+            }
+            
+            const added = this.scores.import(text);
+            this.highScores = this.loadHighScores(this.mode, this.difficulty);
+            this.updateHighScoresDisplay();
+            this.setScoresStatus(added > 0 ? `Imported ${added} new score${added === 1 ? '' : 's'}` : 'No new scores in that file');
+        } catch (error) {
+            console.warn('🏆 Couldn\'t import scores:', error);
+            this.setScoresStatus(error.name === 'SyntaxError' ? 'That file isn\'t valid JSON' : error.message, true);
+        }
+    }
+    
+    setScoresStatus(message, isError = false) {
+        const status = document.getElementById('scores-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    // ---- Replays ----
+    
+    setupReplayControls() {
+        document.getElementById('replay-play').addEventListener('click', () => this.togglePause());
+        document.getElementById('replay-exit').addEventListener('click', () => this.exitReplay());
+        document.getElementById('replay-save').addEventListener('click', () => {
+            const { date = '', seed } = this.replay.replay;
+            this.downloadFile(`falling-food-replay-${date.slice(0, 10) || seed}.json`, JSON.stringify(this.replay.replay));
+        });
+        
+        // Dragging only previews the time; the run is re-simulated once the slider is let go
+        const scrub = document.getElementById('replay-scrub');
+        scrub.addEventListener('input', () => {
+            this.scrubbing = true;
+            this.updateReplayControls();
+        });
+        scrub.addEventListener('change', () => {
+            this.scrubbing = false;
+            this.seekReplay(Number(scrub.value));
+        });
         
-        if (this.highScores.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #666;">No high scores yet. Be the first!</p>';
+        const speeds = document.getElementById('replay-speed');
+        REPLAY_SPEEDS.forEach(speed => {
+            const option = this.createElement('button', 'replay-speed-option', `${speed}×`);
+            option.dataset.speed = speed;
+            option.addEventListener('click', () => {
+                this.replaySpeed = speed;
+                this.updateReplayControls();
+            });
+            speeds.appendChild(option);
+        });
+    }
+    
+    // Re-simulate a recorded run from its seed and inputs. Replays from another character
+    // can't be shown, since the food and hitboxes differ.
+    watchReplay(replay) {
+        const { version, mode = DEFAULT_GAME_MODE, difficulty } = replay.replay;
+        if (version !== this.version || !GameModes[mode] || !DifficultyPresets[difficulty]) {
+            this.setScoresStatus(`This replay was recorded with ${version}; open the game with ?character=${version} to watch it`, true);
             return;
         }
         
-        container.innerHTML = this.highScores.map((score, index) => `
-            <div class="highscore-entry">
-                <div class="highscore-rank">#${index + 1}</div>
-                <div class="highscore-name">${score.name}</div>
-                <div class="highscore-info">
-                    <div class="highscore-score">${score.score}</div>
-                    <div class="highscore-level">Level ${score.level}</div>
-                </div>
-            </div>
-        `).join('');
+        this.recorder.stop();
+        this.cleanupDramaticGameOver();
+        this.hidePauseOverlay();
+        
+        this.replay = replay;
+        this.replaySpeed = 1;
+        this.replayEnded = false;
+        this.sim.difficultyCurve = new DifficultyCurve(DifficultyPresets[difficulty]);
+        this.sim.mode = GameModes[mode];
+        this.sim.waves.enabled = Boolean(replay.replay.waves); // older replays ran without patterns
+        
+        this.gameState = GameStates.PLAYING;
+        this.showScreen('game-screen');
+        document.getElementById('game-screen').classList.add('replaying');
+        document.getElementById('replay-controls').classList.remove('hidden');
+        this.resetGame(replay.replay.seed);
+        this.startLoop();
+        this.updateReplayControls();
+        this.updateRotateOverlay();
+        console.log(`🎬 Watching replay: ${replay.ticks} steps, seed ${replay.replay.seed}`);
+    }
+    
+    // The run ended: hold the last frame so it can be scrubbed back or played again
+    endReplay() {
+        this.cleanupDramaticGameOver();
+        this.replayEnded = true;
+        this.gameState = GameStates.PAUSED;
+        cancelAnimationFrame(this.animationFrameId);
+        this.reactions.stop();
+        this.updateReplayControls();
+    }
+    
+    exitReplay() {
+        if (!this.replay) return;
+        
+        cancelAnimationFrame(this.animationFrameId);
+        this.sim.timeline.clear();
+        this.cleanupDramaticGameOver();
+        this.replay = null;
+        this.replaySpeed = 1;
+        this.replayEnded = false;
+        this.sim.difficultyCurve = new DifficultyCurve(DifficultyPresets[this.difficulty]);
+        this.sim.mode = GameModes[this.mode];
+        this.sim.waves.enabled = true;
+        
+        document.getElementById('game-screen').classList.remove('replaying');
+        document.getElementById('replay-controls').classList.add('hidden');
+        document.getElementById('rotate-overlay').classList.add('hidden');
+        this.resetGame();
+        this.showScores();
+    }
+    
+    // Jump to any step by re-simulating from the seed; going backwards starts the run over.
+    // Sounds and reaction clips stay quiet while skipping ahead.
+    seekReplay(tick) {
+        const target = Math.max(0, Math.min(this.replay.ticks, Math.round(tick)));
+        
+        if (target < this.sim.tick || this.replayEnded) {
+            this.cleanupDramaticGameOver();
+            this.resetGame(this.replay.replay.seed);
+            this.replayEnded = false;
+        }
+        
+        this.seeking = true;
+        this.audio.silenced = true;
+        while (this.sim.tick < target && !this.replayEnded) {
+            this.update(FIXED_TIMESTEP);
+        }
+        this.audio.silenced = false;
+        this.seeking = false;
+        
+        this.accumulator = 0;
+        this.render();
+        this.updateReplayControls();
+    }
+    
+    updateReplayControls() {
+        if (!this.replay) return;
+        
+        const playButton = document.getElementById('replay-play');
+        const playing = this.gameState === GameStates.PLAYING;
+        playButton.textContent = this.replayEnded ? '↺' : (playing ? '⏸' : '▶');
+        playButton.setAttribute('aria-label', this.replayEnded ? 'Watch again' : (playing ? 'Pause' : 'Play'));
+        
+        const scrub = document.getElementById('replay-scrub');
+        scrub.max = this.replay.ticks;
+        if (!this.scrubbing) {
+            scrub.value = this.sim.tick;
+        }
+        
+        const shownTick = this.scrubbing ? Number(scrub.value) : this.sim.tick;
+        document.getElementById('replay-time').textContent =
+            `${this.formatReplayTime(shownTick)} / ${this.formatReplayTime(this.replay.ticks)}`;
+        
+        Array.from(document.getElementById('replay-speed').children).forEach(option => {
+            option.classList.toggle('selected', Number(option.dataset.speed) === this.replaySpeed);
+        });
+    }
+    
+    // m:ss of game time for a number of simulation steps
+    formatReplayTime(ticks) {
+        const seconds = Math.floor(ticks * FIXED_TIMESTEP / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    createElement(tag, className, text = '') {
+        const element = document.createElement(tag);
+        element.className = className;
+        element.textContent = text;
+        return element;
     }
 }
 
@@ -0,0 +1,281 @@
+// Default controls. Keys are KeyboardEvent.code values so they follow the physical key on
+// any layout; buttons are indices in the standard Gamepad mapping (0 = A, 9 = Start, 14/15 = d-pad).
+// The left stick always steers, scaled by how far it's pushed.
+const DEFAULT_BINDINGS = {
+    left: { label: 'Move left', keys: ['ArrowLeft', 'KeyA'], buttons: [14] },
+    right: { label: 'Move right', keys: ['ArrowRight', 'KeyD'], buttons: [15] },
+    jump: { label: 'Jump', keys: ['Space', 'KeyW', 'ArrowUp'], buttons: [0] },
+    pause: { label: 'Pause', keys: ['Escape', 'KeyP'], buttons: [9] },
+    mute: { label: 'Mute', keys: ['KeyM'], buttons: [] },
+    confirm: { label: 'Confirm', keys: ['Enter'], buttons: [0] }
+};
+
+const GAMEPAD_BUTTON_NAMES = {
+    0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT',
+    8: 'Back', 9: 'Start', 12: 'D-pad ↑', 13: 'D-pad ↓', 14: 'D-pad ←', 15: 'D-pad →'
+};
+
+const STICK_DEAD_ZONE = 0.2; // stick travel ignored around the centre
+
+// Keys that press a focused button, and the ones a focused select or slider moves with. A focused
+// control keeps those for itself instead of them doing the bound action.
+const ACTIVATE_KEYS = ['Enter', 'NumpadEnter', 'Space'];
+const STEP_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'];
+const BUTTON_INPUT_TYPES = ['button', 'submit', 'reset', 'checkbox', 'radio', 'color', 'file'];
+
+// Maps keyboard, gamepad and on-screen buttons to game actions.
+// onPress(action) fires once per press; isDown()/axis() are read every simulation step.
+class InputManager {
+    constructor(storageKey = 'fallingFoodBindings') {
+        this.storageKey = storageKey;
+        this.bindings = this.loadBindings();
+        this.keysDown = new Set(); // KeyboardEvent.code
+        this.virtualDown = new Set(); // actions held by on-screen buttons and touch
+        this.padDown = new Set(); // actions held on a gamepad as of the last poll
+        this.padButtonsDown = new Set(); // raw button indices held as of the last poll
+        this.stickX = 0;
+        this.heldOver = new Set(); // actions read as up until whatever holds them is let go
+        this.onPress = () => {};
+        this.capture = null; // { type: 'keys' | 'buttons', callback } while remapping
+        this.pollFrameId = null;
+    }
+
+    // ---- Bindings ----
+
+    loadBindings() {
+        const bindings = this.copyBindings(DEFAULT_BINDINGS);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            Object.keys(bindings).forEach(action => {
+                const entry = saved[action];
+                if (!entry) return;
+                if (Array.isArray(entry.keys) && entry.keys.every(key => typeof key === 'string')) {
+                    bindings[action].keys = entry.keys;
+                }
+                if (Array.isArray(entry.buttons) && entry.buttons.every(Number.isInteger)) {
+                    bindings[action].buttons = entry.buttons;
+                }
+            });
+        } catch (error) {
+            console.warn('🎮 Ignoring unreadable saved controls:', error);
+        }
+
+        return bindings;
+    }
+
+    saveBindings() {
+        const saved = {};
+        Object.entries(this.bindings).forEach(([action, binding]) => {
+            saved[action] = { keys: binding.keys, buttons: binding.buttons };
+        });
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    resetBindings() {
+        this.bindings = this.copyBindings(DEFAULT_BINDINGS);
+        localStorage.removeItem(this.storageKey);
+    }
+
+    copyBindings(bindings) {
+        const copy = {};
+        Object.entries(bindings).forEach(([action, binding]) => {
+            copy[action] = { ...binding, keys: binding.keys.slice(), buttons: binding.buttons.slice() };
+        });
+        return copy;
+    }
+
+    // Put `value` in slot `index` of an action's keys or buttons. A key or button moves away from
+    // any other action it was on, except that jump and confirm may share a gamepad button.
+    rebind(action, type, index, value) {
+        Object.entries(this.bindings).forEach(([other, binding]) => {
+            if (other === action) return;
+            if (type === 'buttons' && [action, other].includes('jump') && [action, other].includes('confirm')) return;
+            binding[type] = binding[type].filter(existing => existing !== value);
+        });
+
+        const slots = this.bindings[action][type].slice();
+        slots[Math.min(index, slots.length)] = value;
+        this.bindings[action][type] = slots.filter((existing, i) => slots.indexOf(existing) === i);
+        this.saveBindings();
+    }
+
+    static keyName(code) {
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+        return arrows[code] || code.replace(/(Left|Right)$/, ' $1');
+    }
+
+    static buttonName(index) {
+        return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+    }
+
+    // Whether the focused element (document.activeElement) does something with this key itself:
+    // Enter and Space press a focused button, the arrows and Home/End move a slider, and a text
+    // box takes every key
+    static focusUsesKey(element, code) {
+        if (!element || !element.tagName) return false;
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+
+        switch (element.tagName) {
+            case 'BUTTON':
+                return ACTIVATE_KEYS.includes(code);
+            case 'SELECT':
+                return ACTIVATE_KEYS.includes(code) || STEP_KEYS.includes(code);
+            case 'INPUT':
+                if (element.type === 'range') return STEP_KEYS.includes(code);
+                return BUTTON_INPUT_TYPES.includes(element.type) ? ACTIVATE_KEYS.includes(code) : true;
+            default:
+                return false;
+        }
+    }
+
+    // ---- Keyboard and on-screen buttons ----
+
+    actionsForKey(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].keys.includes(code));
+    }
+
+    // Hand the next key press ('keys') or gamepad button press ('buttons') to callback
+    // instead of treating it as an action. Escape cancels and calls back with null.
+    captureNext(type, callback) {
+        this.capture = { type, callback };
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    finishCapture(type, value) {
+        if (!this.capture || this.capture.type !== type) return false;
+        const { callback } = this.capture;
+        this.capture = null;
+        callback(value);
+        return true;
+    }
+
+    // Returns the actions the key is bound to, so the caller can preventDefault. A key the
+    // focused element uses (see focusUsesKey) is left to it and does nothing here.
+    keyDown(code, repeat = false, focus = null) {
+        if (!repeat && this.capture) {
+            if (code === 'Escape') {
+                this.finishCapture(this.capture.type, null);
+                return [];
+            }
+            if (this.finishCapture('keys', code)) return [];
+        }
+        if (InputManager.focusUsesKey(focus, code)) return [];
+
+        const actions = this.actionsForKey(code);
+        this.keysDown.add(code);
+        if (!repeat) {
+            actions.forEach(action => this.onPress(action));
+        }
+        return actions;
+    }
+
+    keyUp(code) {
+        this.keysDown.delete(code);
+    }
+
+    setVirtual(action, down) {
+        if (down) {
+            this.virtualDown.add(action);
+        } else {
+            this.virtualDown.delete(action);
+        }
+    }
+
+    // Forget everything held, e.g. when the window loses focus and keyups would be missed
+    releaseAll() {
+        this.keysDown.clear();
+        this.virtualDown.clear();
+    }
+
+    isDown(action) {
+        const down = this.virtualDown.has(action) ||
+            this.padDown.has(action) ||
+            this.bindings[action].keys.some(code => this.keysDown.has(code));
+
+        if (this.heldOver.has(action)) {
+            if (down) return false;
+            this.heldOver.delete(action);
+        }
+        return down;
+    }
+
+    // Read an action as up until it's let go, e.g. jump after gamepad A (also confirm) starts
+    // a run, so that press doesn't jump on the first step as well
+    holdOver(action) {
+        this.heldOver.add(action);
+    }
+
+    // Horizontal steering from -1 (full left) to 1 (full right); digital input is always full speed
+    axis() {
+        const digital = (this.isDown('right') ? 1 : 0) - (this.isDown('left') ? 1 : 0);
+        if (digital !== 0) return digital;
+        return this.stickX;
+    }
+
+    // ---- Gamepads ----
+
+    getGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(Boolean);
+    }
+
+    // Poll gamepads on every animation frame while any are connected, so Start and A
+    // work on menus and the pause screen too
+    startPolling() {
+        if (this.pollFrameId !== null) return;
+
+        const poll = () => {
+            this.pollGamepads();
+            this.pollFrameId = this.getGamepads().length > 0 ? requestAnimationFrame(poll) : null;
+        };
+        poll();
+    }
+
+    pollGamepads() {
+        const pads = this.getGamepads();
+        const wasDown = this.padDown;
+        const buttonsWereDown = this.padButtonsDown;
+        this.padDown = new Set();
+        this.padButtonsDown = new Set();
+        this.stickX = 0;
+
+        pads.forEach(pad => {
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed) this.padButtonsDown.add(index);
+            });
+
+            Object.entries(this.bindings).forEach(([action, binding]) => {
+                if (binding.buttons.some(index => pad.buttons[index] && pad.buttons[index].pressed)) {
+                    this.padDown.add(action);
+                }
+            });
+
+            // Rescale past the dead zone so the stick reaches full speed smoothly
+            const x = pad.axes[0] || 0;
+            if (Math.abs(x) > STICK_DEAD_ZONE && Math.abs(x) > Math.abs(this.stickX)) {
+                this.stickX = Math.sign(x) * (Math.abs(x) - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE);
+            }
+        });
+
+        // While remapping, the first newly pressed button is the new binding
+        const newButton = Array.from(this.padButtonsDown).find(index => !buttonsWereDown.has(index));
+        if (newButton !== undefined && this.finishCapture('buttons', newButton)) return;
+
+        this.padDown.forEach(action => {
+            if (!wasDown.has(action)) {
+                this.onPress(action);
+            }
+        });
+    }
+}
+
+// The tests drive the input layer in Node too
+if (typeof module !== 'undefined') {
+    module.exports = { DEFAULT_BINDINGS, InputManager };
+}
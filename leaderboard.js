@@ -0,0 +1,135 @@
+// Optional shared leaderboard (server/leaderboard.js). It's off unless a server is configured,
+// so a plain static deploy never sends requests: set LEADERBOARD_URL to the server's address,
+// or open the game with ?leaderboard=<url> (?leaderboard=on looks on the page's own host at
+// LEADERBOARD_PORT, ?leaderboard=off turns a configured one off).
+// Whenever it can't be reached the game just shows this device's scores, and saved scores
+// wait in a queue (fallingFoodPendingScores) until the server is back.
+const LEADERBOARD_URL = null; // e.g. 'https://scores.example.com'
+const LEADERBOARD_PORT = 3001;
+const LEADERBOARD_TIMEOUT = 3000; // ms before a request counts as unreachable
+const MAX_PENDING_SCORES = 50;
+
+class LeaderboardClient {
+    constructor(baseUrl = LeaderboardClient.defaultUrl(), queueKey = 'fallingFoodPendingScores') {
+        this.baseUrl = baseUrl;
+        this.queueKey = queueKey;
+        this.online = null; // unknown until the first request
+        this.flushing = null; // promise while queued scores are being sent
+    }
+
+    static defaultUrl() {
+        const requested = new URLSearchParams(window.location.search).get('leaderboard') || LEADERBOARD_URL;
+        if (!requested || requested === 'off') return null;
+        if (requested !== 'on') return requested.replace(/\/+$/, '');
+
+        // Pages opened from disk have no host to look on
+        if (!window.location.protocol.startsWith('http')) return null;
+        return `${window.location.protocol}//${window.location.hostname}:${LEADERBOARD_PORT}`;
+    }
+
+    get enabled() {
+        return Boolean(this.baseUrl);
+    }
+
+    // Resolves to the parsed response, or rejects with error.unreachable set when
+    // the server couldn't be contacted (as opposed to refusing the request)
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), LEADERBOARD_TIMEOUT);
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, { ...options, signal: controller.signal });
+        } catch (error) {
+            this.online = false;
+            throw Object.assign(new Error('Leaderboard unreachable'), { unreachable: true });
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        this.online = true;
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw Object.assign(new Error(body.error || `HTTP ${response.status}`), { status: response.status });
+        }
+        return body;
+    }
+
+    // The shared table, or null if the server can't be reached (show local scores instead)
+    async list(version, mode, difficulty) {
+        if (!this.enabled) return null;
+
+        await this.flush();
+        try {
+            const query = new URLSearchParams({ version, mode, difficulty, limit: MAX_HIGH_SCORES });
+            const body = await this.request(`/api/scores?${query}`);
+            return HighScoreStore.sanitizeTable(body.scores);
+        } catch (error) {
+            if (!error.unreachable) console.warn('🌐 Leaderboard refused the score list:', error.message);
+            return null;
+        }
+    }
+
+    // Send a score, queueing it if the server is away. Resolves true once the server has it.
+    async submit(version, mode, difficulty, entry) {
+        if (!this.enabled) return false;
+
+        this.enqueue({ version, mode, difficulty, ...entry });
+        return this.flush();
+    }
+
+    // Send queued scores oldest first; stops at the first one that can't be delivered yet.
+    // Scores the server rejects (implausible, invalid) are dropped rather than retried forever.
+    // Only one flush runs at a time; scores queued meanwhile are picked up by the running one.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async sendQueue() {
+        let queue;
+        while ((queue = this.loadQueue()).length > 0) {
+            try {
+                await this.request('/api/scores', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(queue[0])
+                });
+            } catch (error) {
+                if (error.unreachable || error.status === 429 || error.status >= 500) return false;
+                console.warn(`🌐 Leaderboard rejected a score of ${queue[0].score}:`, error.message);
+            }
+            this.saveQueue(this.loadQueue().slice(1));
+        }
+        return true;
+    }
+
+    enqueue(submission) {
+        this.saveQueue([...this.loadQueue(), submission].slice(-MAX_PENDING_SCORES));
+    }
+
+    loadQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(this.queueKey) || '[]');
+            return Array.isArray(queue) ? queue.filter(item => item && typeof item === 'object') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue(queue) {
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(this.queueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.queueKey);
+            }
+        } catch (error) {
+            console.warn('🌐 Couldn\'t save pending leaderboard scores:', error);
+        }
+    }
+}
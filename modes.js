@@ -0,0 +1,50 @@
+// Game modes, picked on the menu. GameSimulation reads each mode's rules from here; every mode
+// has its own HUD and its own high score tables.
+//   lives     - hearts at the start, or null for none (bad food is off, and nothing ends the run)
+//   badFood   - false drops good food only
+//   timeLimit - ms on the clock; the run ends when it runs out. null for no clock
+//   hunger    - the Survival meter, or null. It starts full at max and drains `drain` per second;
+//               each good food missed costs `miss`, each catch gives back `refill`. Empty ends the run
+//   canFinish - the pause menu offers Finish Run, which ends the run and keeps its score
+const GameModes = {
+    classic: {
+        label: '♾️ Classic',
+        description: 'Play until your hearts run out',
+        lives: 3,
+        badFood: true,
+        timeLimit: null,
+        hunger: null
+    },
+    timeAttack: {
+        label: '⏱️ Time Attack',
+        description: 'Score as much as you can in 60 seconds',
+        lives: 3,
+        badFood: true,
+        timeLimit: 60000,
+        hunger: null
+    },
+    zen: {
+        label: '🧘 Zen',
+        description: 'Only good food and no hearts to lose. Finish from the pause menu',
+        lives: null,
+        badFood: false,
+        timeLimit: null,
+        hunger: null,
+        canFinish: true
+    },
+    survival: {
+        label: '🍖 Survival',
+        description: 'Every missed food makes you hungrier. Don\'t let the meter run dry',
+        lives: 3,
+        badFood: true,
+        timeLimit: null,
+        hunger: { max: 100, drain: 2, miss: 15, refill: 10 }
+    }
+};
+
+const DEFAULT_GAME_MODE = 'classic';
+
+// The leaderboard server checks submitted modes against this list
+if (typeof module !== 'undefined') {
+    module.exports = { GameModes, DEFAULT_GAME_MODE };
+}
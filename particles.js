@@ -0,0 +1,173 @@
+// Emitter presets. Ranges are [min, max]; angles are radians (0 = right, -PI/2 = up).
+const ParticleEffects = {
+    // Colourful burst when good food is caught
+    confetti: {
+        count: 24,
+        speed: [150, 420],
+        angle: [-Math.PI * 0.9, -Math.PI * 0.1],
+        gravity: 700,
+        drag: 0.6,
+        lifetime: [700, 1200],
+        size: [6, 10],
+        endSize: 1,
+        spin: [-10, 10],
+        shape: 'rect',
+        colors: ['#FF5252', '#FFD740', '#69F0AE', '#40C4FF', '#E040FB', '#FF6E40']
+    },
+    // Grey puff that drifts up when bad food hits
+    smoke: {
+        count: 14,
+        speed: [20, 90],
+        angle: [-Math.PI, 0],
+        gravity: -60,
+        drag: 1.5,
+        lifetime: [600, 1000],
+        size: [18, 30],
+        endSize: 2.2,
+        shape: 'circle',
+        colorRamp: ['#616161', '#9E9E9E', '#E0E0E0'],
+        alpha: 0.6
+    }
+};
+
+// Pooled particle system: particles are recycled instead of allocated per effect.
+// update() and render() are called from the game's own update/render pass.
+class ParticleSystem {
+    constructor(maxParticles = 600) {
+        this.maxParticles = maxParticles;
+        this.active = [];
+        this.pool = [];
+        this.colorCache = new Map();
+    }
+
+    // Spawn config.count particles at (x, y); returns how many were actually spawned
+    emit(x, y, config) {
+        const count = Math.min(config.count || 1, this.maxParticles - this.active.length);
+
+        for (let i = 0; i < count; i++) {
+            const particle = this.pool.pop() || {};
+            const angle = this.range(config.angle || [0, Math.PI * 2]);
+            const speed = this.range(config.speed || [0, 0]);
+            const size = this.range(config.size || [3, 3]);
+
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.gravity = config.gravity || 0;
+            particle.drag = config.drag || 0;
+            particle.age = 0;
+            particle.lifetime = this.range(config.lifetime || [500, 500]);
+            particle.startSize = size;
+            particle.endSize = size * (config.endSize === undefined ? 1 : config.endSize);
+            particle.rotation = Math.random() * Math.PI * 2;
+            particle.spin = this.range(config.spin || [0, 0]);
+            particle.alpha = config.alpha === undefined ? 1 : config.alpha;
+            particle.shape = config.shape || 'rect';
+            particle.sprite = config.sprites ? this.pick(config.sprites) : null;
+            particle.color = config.colors ? this.pick(config.colors) : null;
+            particle.colorRamp = config.colorRamp ? config.colorRamp.map(color => this.parseColor(color)) : null;
+
+            this.active.push(particle);
+        }
+
+        return count;
+    }
+
+    update(deltaTime) {
+        const seconds = deltaTime / 1000;
+
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const particle = this.active[i];
+            particle.age += deltaTime;
+
+            if (particle.age >= particle.lifetime) {
+                // Swap-remove and hand the object back to the pool
+                this.active[i] = this.active[this.active.length - 1];
+                this.active.pop();
+                this.pool.push(particle);
+                continue;
+            }
+
+            const damping = Math.max(0, 1 - particle.drag * seconds);
+            particle.vx *= damping;
+            particle.vy = particle.vy * damping + particle.gravity * seconds;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+            particle.rotation += particle.spin * seconds;
+        }
+    }
+
+    render(ctx) {
+        if (this.active.length === 0) return;
+
+        this.active.forEach(particle => {
+            const life = particle.age / particle.lifetime;
+            const size = particle.startSize + (particle.endSize - particle.startSize) * life;
+
+            ctx.save();
+            ctx.globalAlpha = particle.alpha * (1 - life);
+            ctx.translate(particle.x, particle.y);
+            ctx.rotate(particle.rotation);
+
+            if (typeof particle.sprite === 'string') {
+                // Emoji / text particle
+                ctx.font = `${size}px Arial`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(particle.sprite, 0, 0);
+            } else if (particle.sprite) {
+                // Image particle
+                ctx.drawImage(particle.sprite, -size / 2, -size / 2, size, size);
+            } else {
+                ctx.fillStyle = particle.colorRamp ? this.rampColor(particle.colorRamp, life) : particle.color;
+                if (particle.shape === 'circle') {
+                    ctx.beginPath();
+                    ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+                    ctx.fill();
+                } else {
+                    ctx.fillRect(-size / 2, -size / 4, size, size / 2);
+                }
+            }
+            ctx.restore();
+        });
+    }
+
+    clear() {
+        this.pool.push(...this.active);
+        this.active = [];
+    }
+
+    range([min, max]) {
+        return min + Math.random() * (max - min);
+    }
+
+    pick(list) {
+        return list[Math.floor(Math.random() * list.length)];
+    }
+
+    // '#RRGGBB' -> [r, g, b], cached since presets reuse the same few colours
+    parseColor(hex) {
+        if (!this.colorCache.has(hex)) {
+            const value = parseInt(hex.slice(1), 16);
+            this.colorCache.set(hex, [(value >> 16) & 255, (value >> 8) & 255, value & 255]);
+        }
+        return this.colorCache.get(hex);
+    }
+
+    // Interpolate along a colour ramp at t (0-1)
+    rampColor(ramp, t) {
+        if (ramp.length === 1) {
+            const [r, g, b] = ramp[0];
+            return `rgb(${r}, ${g}, ${b})`;
+        }
+
+        const position = t * (ramp.length - 1);
+        const index = Math.min(Math.floor(position), ramp.length - 2);
+        const local = position - index;
+        const from = ramp[index];
+        const to = ramp[index + 1];
+        const channel = c => Math.round(from[c] + (to[c] - from[c]) * local);
+        return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+    }
+}
@@ -0,0 +1,120 @@
+// Power-up definitions. Timed power-ups last `duration` ms; instant ones apply once on pickup.
+// stacking: 'refresh' resets the timer to full, 'extend' adds `duration` up to `maxDuration`.
+const PowerUpTypes = {
+    magnet: {
+        icon: '🧲',
+        color: '#E040FB',
+        weight: 3,
+        duration: 8000,
+        stacking: 'refresh',
+        radius: 350, // pixels from the player's centre
+        pullSpeed: 300 // pixels per second toward the player
+    },
+    shield: {
+        icon: '🛡️',
+        color: '#40C4FF',
+        weight: 3,
+        duration: 15000,
+        stacking: 'extend',
+        maxDuration: 30000
+        // Absorbs one bad food, then ends
+    },
+    slowmo: {
+        icon: '🐢',
+        color: '#69F0AE',
+        weight: 2,
+        duration: 6000,
+        stacking: 'refresh',
+        speedScale: 0.5 // multiplier on gameSpeed while active
+    },
+    extraLife: {
+        icon: '💖',
+        color: '#FF5252',
+        weight: 1,
+        instant: true,
+        maxLives: 5 // hearts can't go above this
+    }
+};
+
+// Tracks which timed power-ups are active and counts them down in game time
+class PowerUpManager {
+    constructor(types = PowerUpTypes) {
+        this.types = types;
+        this.active = new Map(); // id -> { remaining, duration }
+    }
+
+    activate(id) {
+        const type = this.types[id];
+        const current = this.active.get(id);
+
+        if (!current) {
+            this.active.set(id, { remaining: type.duration, duration: type.duration });
+        } else if (type.stacking === 'extend') {
+            // Add time on top, capped; the ring shows time left out of the new total
+            current.remaining = Math.min(type.maxDuration || Infinity, current.remaining + type.duration);
+            current.duration = Math.max(current.duration, current.remaining);
+        } else {
+            current.remaining = type.duration;
+            current.duration = type.duration;
+        }
+    }
+
+    isActive(id) {
+        return this.active.has(id);
+    }
+
+    // End a power-up early (e.g. a shield that just blocked a hit)
+    consume(id) {
+        return this.active.delete(id);
+    }
+
+    update(deltaTime) {
+        this.active.forEach((state, id) => {
+            state.remaining -= deltaTime;
+            if (state.remaining <= 0) {
+                this.active.delete(id);
+            }
+        });
+    }
+
+    // Combined multiplier on gameSpeed from all active power-ups
+    speedScale() {
+        let scale = 1;
+        this.active.forEach((state, id) => {
+            if (this.types[id].speedScale) {
+                scale *= this.types[id].speedScale;
+            }
+        });
+        return scale;
+    }
+
+    // Active power-ups for the HUD, with the fraction of time left (0-1)
+    list() {
+        return Array.from(this.active, ([id, state]) => ({
+            id,
+            type: this.types[id],
+            fraction: Math.max(0, state.remaining / state.duration)
+        }));
+    }
+
+    // Weighted random power-up id, out of ids (all of them by default)
+    pick(random = Math.random, ids = Object.keys(this.types)) {
+        const totalWeight = ids.reduce((sum, id) => sum + this.types[id].weight, 0);
+
+        let roll = random() * totalWeight;
+        for (const id of ids) {
+            roll -= this.types[id].weight;
+            if (roll < 0) return id;
+        }
+        return ids[ids.length - 1];
+    }
+
+    clear() {
+        this.active.clear();
+    }
+}
+
+// Used by the simulation in Node as well as in the browser
+if (typeof module !== 'undefined') {
+    module.exports = { PowerUpTypes, PowerUpManager };
+}
@@ -0,0 +1,36 @@
+// Seedable pseudo-random numbers (mulberry32). Everything that shapes a run - what spawns,
+// where and how fast - draws from one of these, so a run can be replayed from its seed.
+// Cosmetic randomness (particles, shake, which reaction clip) still uses Math.random.
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        // Handed around as a plain function, e.g. foodCatalog.pick(good, random.next)
+        this.next = this.next.bind(this);
+    }
+
+    static randomSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Uniform in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+// Tests load this in Node to seed runs and get the same spawns every time
+if (typeof module !== 'undefined') {
+    module.exports = { SeededRandom };
+}
@@ -0,0 +1,108 @@
+// Video reactions played over the game at big moments:
+//   bigCatch  - a catch worth at least minPoints (after the combo multiplier)
+//   heartLost - bad food hit that doesn't end the game
+//   gameOver  - the final hit, during the dramatic game over
+// A character manifest lists the clips under "reactions" (paths relative to the manifest).
+// mode is 'inset' (small picture-in-picture corner) or 'full' (covers the playfield).
+const ReactionDefaults = {
+    bigCatch: { mode: 'inset', minPoints: 50 },
+    heartLost: { mode: 'inset' },
+    gameOver: { mode: 'full' }
+};
+
+const REACTION_COOLDOWN = 4000; // ms of game time between inset clips
+
+// Owns the <video> element. Sprites keep animating underneath, so a clip that can't
+// play (autoplay blocked, missing file) simply isn't shown.
+class ReactionPlayer {
+    constructor(video) {
+        this.video = video;
+        this.reactions = {};
+        this.current = null; // reaction playing right now
+        this.playId = 0; // bumped on every play/stop so stale play() promises can tell
+        this.warned = false;
+
+        video.muted = true;
+        video.playsInline = true;
+        video.addEventListener('ended', () => this.current && this.stop());
+        video.addEventListener('error', () => this.current && this.stop());
+    }
+
+    setReactions(reactions = {}, resolvePath = path => path) {
+        this.reactions = {};
+        Object.entries(reactions).forEach(([event, config]) => {
+            const clips = (config.clips || []).map(resolvePath);
+            if (clips.length === 0) return;
+            this.reactions[event] = { ...ReactionDefaults[event], ...config, clips };
+        });
+    }
+
+    get(event) {
+        return this.reactions[event] || null;
+    }
+
+    isPlaying(mode) {
+        return Boolean(this.current && (!mode || this.current.mode === mode));
+    }
+
+    // Resolves true once a random clip for the event is playing, false if there is none
+    // or the browser refused to play it
+    async play(event, { muted = true, volume = 1 } = {}) {
+        const reaction = this.get(event);
+        if (!reaction) return false;
+
+        const playId = ++this.playId;
+        const clip = reaction.clips[Math.floor(Math.random() * reaction.clips.length)];
+
+        this.current = reaction;
+        this.video.src = clip;
+        this.video.muted = muted;
+        this.video.volume = volume;
+        this.video.classList.remove('inset', 'full', 'hidden');
+        this.video.classList.add(reaction.mode);
+
+        let playing = await this.tryPlay();
+        if (!playing && !muted && playId === this.playId) {
+            // Autoplay with sound is often blocked where muted autoplay is allowed
+            this.video.muted = true;
+            playing = await this.tryPlay();
+        }
+
+        if (playId !== this.playId) return false; // stopped or replaced meanwhile
+        if (!playing) {
+            if (!this.warned) {
+                console.warn('🎞️ Reaction clips can\'t autoplay here, using sprites only');
+                this.warned = true;
+            }
+            this.stop();
+        }
+        return playing;
+    }
+
+    async tryPlay() {
+        try {
+            await this.video.play();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Follow the game's pause state
+    pause() {
+        if (this.current) this.video.pause();
+    }
+
+    resume() {
+        if (this.current) this.tryPlay();
+    }
+
+    stop() {
+        this.playId++;
+        this.current = null;
+        this.video.pause();
+        this.video.classList.add('hidden');
+        this.video.removeAttribute('src');
+        this.video.load();
+    }
+}
@@ -0,0 +1,199 @@
+// Replays. A run is fully determined by its seed, its game mode, difficulty and character, and
+// the input of every simulation step, so that's all a replay stores:
+//   { "replay": 1, "seed", "version", "mode", "difficulty", "waves", "ticks", "score", "level", "date",
+//     "inputs": [[steps, axis, dragX, tilt, jump], ...] }
+// Replays recorded before game modes have no "mode"; they are all Classic runs. Those from
+// before wave patterns (waves.js) have no "waves" and play back without them.
+// inputs are run-length encoded: each row is one input held for `steps` simulation steps.
+//   axis  - keyboard/gamepad steering, -1 to 1
+//   dragX - playfield x the finger is at in drag mode, or null
+//   tilt  - tilt steering, -1 to 1
+//   jump  - 1 while jump is held
+const REPLAY_FORMAT = 1;
+const REPLAYS_KEY = 'fallingFoodReplays';
+const REPLAY_SPEEDS = [1, 2, 4, 8]; // playback speed choices on the replay bar
+
+const NO_INPUT = { axis: 0, dragX: null, tilt: 0, jump: false };
+
+// Logs the input of every simulation step of a run
+class InputRecorder {
+    constructor() {
+        this.meta = null;
+        this.rows = [];
+        this.ticks = 0;
+    }
+
+    get recording() {
+        return this.meta !== null;
+    }
+
+    start(meta) {
+        this.meta = meta;
+        this.rows = [];
+        this.ticks = 0;
+    }
+
+    // Rounds the input to what a replay can store and logs it. The simulation must use the
+    // returned value, not the raw one, so the live run and its replay see the same numbers.
+    record(input) {
+        const stored = InputRecorder.quantize(input);
+        if (!this.recording) return stored;
+
+        const row = [1, stored.axis, stored.dragX, stored.tilt, stored.jump ? 1 : 0];
+        const last = this.rows[this.rows.length - 1];
+        if (last && row.every((value, i) => i === 0 || value === last[i])) {
+            last[0]++;
+        } else {
+            this.rows.push(row);
+        }
+        this.ticks++;
+        return stored;
+    }
+
+    static quantize(input) {
+        return {
+            axis: Math.round(input.axis * 1000) / 1000,
+            dragX: input.dragX === null ? null : Math.round(input.dragX * 10) / 10,
+            tilt: Math.round(input.tilt * 50) / 50, // sensor jitter below this doesn't start a new row
+            jump: Boolean(input.jump)
+        };
+    }
+
+    // The finished replay; recording stops
+    finish(result) {
+        const replay = {
+            replay: REPLAY_FORMAT,
+            ...this.meta,
+            ticks: this.ticks,
+            ...result,
+            inputs: this.rows
+        };
+        this.meta = null;
+        this.rows = [];
+        return replay;
+    }
+
+    stop() {
+        this.meta = null;
+        this.rows = [];
+    }
+}
+
+// Reads a replay's inputs back, step by step or from anywhere (for scrubbing)
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.starts = []; // first step of each input row
+        let tick = 0;
+        replay.inputs.forEach(row => {
+            this.starts.push(tick);
+            tick += row[0];
+        });
+    }
+
+    get ticks() {
+        return this.replay.ticks;
+    }
+
+    // A replay from storage or a file, checked row by row; null if it isn't usable
+    static fromData(data) {
+        if (!data || typeof data !== 'object' || data.replay !== REPLAY_FORMAT) return null;
+        if (!Number.isInteger(data.seed) || typeof data.version !== 'string' || typeof data.difficulty !== 'string') return null;
+        if (data.mode !== undefined && typeof data.mode !== 'string') return null;
+        if (!Array.isArray(data.inputs)) return null;
+
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const validRows = data.inputs.every(row => Array.isArray(row) && row.length === 5 &&
+            Number.isInteger(row[0]) && row[0] > 0 &&
+            isNumber(row[1]) && (row[2] === null || isNumber(row[2])) && isNumber(row[3]) &&
+            (row[4] === 0 || row[4] === 1));
+        if (!validRows) return null;
+
+        const ticks = data.inputs.reduce((total, row) => total + row[0], 0);
+        return new ReplayPlayer({ ...data, ticks });
+    }
+
+    // Input for a simulation step; past the end nothing is held
+    inputAt(tick) {
+        if (tick < 0 || tick >= this.ticks) return NO_INPUT;
+
+        // Binary search for the row containing this step
+        let low = 0;
+        let high = this.starts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.starts[middle] <= tick) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        const row = this.replay.inputs[low];
+        return { axis: row[1], dragX: row[2], tilt: row[3], jump: row[4] === 1 };
+    }
+}
+
+// Replays saved with high scores, by id. Only replays a score still points at are kept.
+class ReplayStore {
+    constructor(storageKey = REPLAYS_KEY) {
+        this.storageKey = storageKey;
+        this.replays = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.warn('🎬 Ignoring unreadable saved replays:', error);
+            return {};
+        }
+    }
+
+    // Returns false if storage is full or disabled
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.replays));
+            return true;
+        } catch (error) {
+            console.warn('🎬 Couldn\'t save replay:', error);
+            return false;
+        }
+    }
+
+    // Returns the new replay's id, or null if it couldn't be stored
+    save(replay) {
+        const id = `${Date.now().toString(36)}-${replay.seed.toString(36)}`;
+        this.replays[id] = replay;
+        if (this.write()) return id;
+
+        delete this.replays[id];
+        return null;
+    }
+
+    has(id) {
+        return Boolean(id && this.replays[id]);
+    }
+
+    get(id) {
+        return this.has(id) ? ReplayPlayer.fromData(this.replays[id]) : null;
+    }
+
+    // Drop replays no high score refers to any more
+    prune(keepIds) {
+        const keep = new Set(keepIds);
+        const before = Object.keys(this.replays).length;
+        Object.keys(this.replays).forEach(id => {
+            if (!keep.has(id)) delete this.replays[id];
+        });
+        if (Object.keys(this.replays).length !== before) {
+            this.write();
+        }
+    }
+}
+
+// Tests check in Node that a replay re-simulates its run exactly
+if (typeof module !== 'undefined') {
+    module.exports = { InputRecorder, ReplayPlayer, ReplayStore, REPLAY_FORMAT, NO_INPUT };
+}
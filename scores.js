@@ -0,0 +1,222 @@
+// High score tables, kept per character, game mode and difficulty in one versioned localStorage entry:
+//   { "schema": 3, "tables": { "sofia/classic/normal": [{ "name", "score", "level", "bestCombo", "date" }, ...] } }
+// Everything read back is validated entry by entry, so a corrupted or hand-edited value
+// loses the bad entries instead of breaking the game.
+const HIGH_SCORES_KEY = 'fallingFoodScores';
+const HIGH_SCORES_SCHEMA = 3;
+const MAX_HIGH_SCORES = 10; // entries per table
+const MAX_NAME_LENGTH = 15; // same as the name input's maxlength
+const LEGACY_SCORES_VERSION = 'sofia'; // character the old shared tables are credited to
+
+// Upgrades from each older schema to the next, keyed by the schema they start from.
+// Schema 1 is the layout before this module: a bare array per difficulty under
+// fallingFoodHighScores_<difficulty> (or fallingFoodHighScores, from before difficulties
+// existed, for Normal), shared by every character. The old keys are left in place.
+// Schema 2 tables are "version/difficulty", from before game modes; they were all Classic runs.
+const HighScoreMigrations = {
+    1: () => {
+        const tables = {};
+        Object.keys(DifficultyPresets).forEach(difficulty => {
+            let saved = localStorage.getItem(`fallingFoodHighScores_${difficulty}`);
+            if (!saved && difficulty === 'normal') {
+                saved = localStorage.getItem('fallingFoodHighScores');
+            }
+            const table = HighScoreStore.parseTable(saved);
+            if (table.length > 0) {
+                tables[`${LEGACY_SCORES_VERSION}/${difficulty}`] = table;
+            }
+        });
+        return { schema: 2, tables };
+    },
+    2: (saved) => {
+        const tables = {};
+        Object.entries(saved.tables || {}).forEach(([id, table]) => {
+            const [version, difficulty] = id.split('/');
+            if (!difficulty) return;
+            tables[HighScoreStore.tableId(version, 'classic', difficulty)] = table;
+        });
+        return { ...saved, schema: 3, tables };
+    }
+};
+
+class HighScoreStore {
+    constructor(storageKey = HIGH_SCORES_KEY) {
+        this.storageKey = storageKey;
+        this.tables = this.load();
+    }
+
+    static tableId(version, mode, difficulty) {
+        return `${version}/${mode}/${difficulty}`;
+    }
+
+    // ---- Validation ----
+
+    // A clean copy of a stored entry, or null if it has no usable score
+    static sanitizeEntry(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+        if (!Number.isSafeInteger(entry.score) || entry.score < 0) return null;
+
+        return {
+            name: HighScoreStore.sanitizeName(entry.name),
+            score: entry.score,
+            level: Number.isSafeInteger(entry.level) && entry.level > 0 ? entry.level : 1,
+            bestCombo: Number.isSafeInteger(entry.bestCombo) && entry.bestCombo >= 0 ? entry.bestCombo : 0,
+            date: typeof entry.date === 'string' ? entry.date.slice(0, 32) : '',
+            // Recorded run in the ReplayStore, if this device has it
+            ...(typeof entry.replayId === 'string' && /^[\w-]{1,40}$/.test(entry.replayId) ? { replayId: entry.replayId } : {})
+        };
+    }
+
+    // Plain text only; control characters go, and the length matches the name input
+    static sanitizeName(name) {
+        if (typeof name !== 'string') return 'Anonymous';
+        const clean = name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH).trim();
+        return clean || 'Anonymous';
+    }
+
+    // Valid entries only, best first, at most MAX_HIGH_SCORES
+    static sanitizeTable(table) {
+        if (!Array.isArray(table)) return [];
+        return table
+            .map(HighScoreStore.sanitizeEntry)
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_HIGH_SCORES);
+    }
+
+    static parseTable(json) {
+        if (!json) return [];
+        try {
+            return HighScoreStore.sanitizeTable(JSON.parse(json));
+        } catch (error) {
+            console.warn('🏆 Ignoring unreadable high scores:', error);
+            return [];
+        }
+    }
+
+    // ---- Storage ----
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('🏆 Stored high scores are corrupted, starting fresh:', error);
+            saved = { schema: HIGH_SCORES_SCHEMA, tables: {} };
+        }
+        if (!saved || typeof saved !== 'object' || !Number.isInteger(saved.schema)) {
+            saved = { schema: 1 };
+        }
+
+        // Bring older layouts up to date one step at a time, then store the result
+        const startSchema = saved.schema;
+        while (saved.schema < HIGH_SCORES_SCHEMA && HighScoreMigrations[saved.schema]) {
+            saved = HighScoreMigrations[saved.schema](saved);
+        }
+
+        const tables = {};
+        if (saved.tables && typeof saved.tables === 'object') {
+            Object.entries(saved.tables).forEach(([id, table]) => {
+                tables[id] = HighScoreStore.sanitizeTable(table);
+            });
+        }
+
+        this.tables = tables;
+        if (saved.schema !== startSchema) {
+            console.log(`🏆 High scores migrated from schema ${startSchema} to ${saved.schema}`);
+            this.save();
+        }
+        return tables;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ schema: HIGH_SCORES_SCHEMA, tables: this.tables }));
+        } catch (error) {
+            // Storage full or disabled (e.g. some private modes): keep scores for this session only
+            console.warn('🏆 Couldn\'t save high scores:', error);
+        }
+    }
+
+    // ---- Tables ----
+
+    get(version, mode, difficulty) {
+        return (this.tables[HighScoreStore.tableId(version, mode, difficulty)] || []).map(entry => ({ ...entry }));
+    }
+
+    qualifies(version, mode, difficulty, score) {
+        const table = this.get(version, mode, difficulty);
+        if (table.length < MAX_HIGH_SCORES) return true;
+        return score > table[table.length - 1].score;
+    }
+
+    // Returns the updated table; an invalid entry leaves it unchanged
+    add(version, mode, difficulty, entry) {
+        const id = HighScoreStore.tableId(version, mode, difficulty);
+        this.tables[id] = HighScoreStore.sanitizeTable([...(this.tables[id] || []), entry]);
+        this.save();
+        return this.get(version, mode, difficulty);
+    }
+
+    // Every replay a table entry points at
+    replayIds() {
+        return Object.values(this.tables)
+            .flat()
+            .map(entry => entry.replayId)
+            .filter(Boolean);
+    }
+
+    // ---- Export / import ----
+
+    // Every table, as the contents of a JSON file another device can import
+    export() {
+        return JSON.stringify({ schema: HIGH_SCORES_SCHEMA, exported: new Date().toISOString(), tables: this.tables }, null, 2);
+    }
+
+    // Merge an exported file into the tables. Entries already here are skipped and each table
+    // still keeps only its best MAX_HIGH_SCORES. Returns how many entries made it in;
+    // throws if the text isn't a high score export.
+    import(json) {
+        let data = JSON.parse(json);
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.schema) ||
+            !data.tables || typeof data.tables !== 'object' || Array.isArray(data.tables)) {
+            throw new Error('This file isn\'t a high score export');
+        }
+        if (data.schema > HIGH_SCORES_SCHEMA) {
+            throw new Error('This file comes from a newer version of the game');
+        }
+        // Files exported before game modes get the same upgrade as stored tables
+        // (schema 1 was never exported)
+        while (data.schema >= 2 && data.schema < HIGH_SCORES_SCHEMA) {
+            data = HighScoreMigrations[data.schema](data);
+        }
+
+        const entryKey = entry => `${entry.name}|${entry.score}|${entry.level}|${entry.bestCombo}|${entry.date}`;
+        let added = 0;
+
+        Object.entries(data.tables).forEach(([id, table]) => {
+            if (!/^[\w-]+\/[\w-]+\/[\w-]+$/.test(id)) return;
+
+            const existing = this.tables[id] || [];
+            const existingKeys = new Set(existing.map(entryKey));
+            const known = new Set(existingKeys);
+            const incoming = HighScoreStore.sanitizeTable(table).filter(entry => {
+                if (known.has(entryKey(entry))) return false;
+                known.add(entryKey(entry));
+                return true;
+            });
+            if (incoming.length === 0) return;
+
+            this.tables[id] = HighScoreStore.sanitizeTable([...existing, ...incoming]);
+            added += this.tables[id].filter(entry => !existingKeys.has(entryKey(entry))).length;
+        });
+
+        this.save();
+        return added;
+    }
+}
+
+// The leaderboard server validates submissions with the same rules
+if (typeof module !== 'undefined') {
+    module.exports = { HighScoreStore, HIGH_SCORES_KEY, HIGH_SCORES_SCHEMA, MAX_HIGH_SCORES, MAX_NAME_LENGTH };
+}
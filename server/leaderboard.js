@@ -0,0 +1,247 @@
+// Optional shared leaderboard for the whole family: run `npm run leaderboard` next to
+// `npm run dev` and every device on the network submits to and reads from one board.
+// Plain Node, no dependencies. Scores are kept in a JSON file (LEADERBOARD_DATA).
+//
+//   GET  /api/scores?version=sofia&mode=classic&difficulty=normal   best scores for one table
+//   POST /api/scores   { version, mode, difficulty, name, score, level, bestCombo, date }
+//   GET  /api/health
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { DifficultyPresets, DifficultyCurve } = require('../difficulty.js');
+const { HighScoreStore } = require('../scores.js');
+const { GameModes, DEFAULT_GAME_MODE } = require('../modes.js');
+
+const PORT = Number(process.env.LEADERBOARD_PORT) || 3001;
+const DATA_FILE = process.env.LEADERBOARD_DATA || path.join(__dirname, 'data', 'scores.json');
+const TABLE_SIZE = 100; // entries kept per table; clients show the top MAX_HIGH_SCORES
+const MAX_BODY_BYTES = 4096;
+const MAX_SCORE = 10000000;
+
+// Requests allowed per client address in each window
+const RateLimits = {
+    read: { requests: 60, window: 60 * 1000 },
+    submit: { requests: 5, window: 60 * 1000 }
+};
+
+class RateLimiter {
+    constructor(limits) {
+        this.limits = limits;
+        this.windows = new Map(); // `${kind}:${address}` -> { count, resetAt }
+    }
+
+    // Returns 0 if the request may go ahead, otherwise seconds until it may
+    take(kind, address, now = Date.now()) {
+        const limit = this.limits[kind];
+        const key = `${kind}:${address}`;
+        let window = this.windows.get(key);
+
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + limit.window };
+            this.windows.set(key, window);
+        }
+        if (window.count >= limit.requests) {
+            return Math.ceil((window.resetAt - now) / 1000);
+        }
+        window.count++;
+        return 0;
+    }
+
+    // Forget finished windows so the map doesn't grow forever
+    prune(now = Date.now()) {
+        this.windows.forEach((window, key) => {
+            if (now >= window.resetAt) this.windows.delete(key);
+        });
+    }
+}
+
+// Why a submitted entry can't have come from a real game, or null if it could have.
+// The level is set by points alone, so it has to match the score on that difficulty;
+// one level behind is allowed for a run that ended on the step it crossed a threshold.
+function implausibility(entry, difficulty) {
+    if (entry.score > MAX_SCORE) return 'Score is too high';
+    if (entry.score > 0 && entry.bestCombo < 1) return 'Points need at least one catch';
+
+    const expectedLevel = new DifficultyCurve(DifficultyPresets[difficulty]).levelForScore(entry.score);
+    if (entry.level > expectedLevel || entry.level < expectedLevel - 1) {
+        return `Level ${entry.level} doesn't match a score of ${entry.score}`;
+    }
+    return null;
+}
+
+// The game's own validation, minus replayId: that points into one device's replay store and
+// means nothing to anyone else reading the board
+function sanitizeEntry(entry) {
+    const clean = HighScoreStore.sanitizeEntry(entry);
+    if (clean) delete clean.replayId;
+    return clean;
+}
+
+class Leaderboard {
+    constructor(file) {
+        this.file = file;
+        this.tables = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const tables = {};
+            Object.entries(saved.tables || {}).forEach(([id, table]) => {
+                // Boards saved before game modes hold "version/difficulty" tables of Classic runs
+                const parts = id.split('/');
+                if (parts.length === 2) {
+                    id = HighScoreStore.tableId(parts[0], DEFAULT_GAME_MODE, parts[1]);
+                }
+                tables[id] = this.sanitizeTable(table);
+            });
+            return tables;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Couldn't read ${this.file}, starting an empty board:`, error.message);
+            }
+            return {};
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves half a file behind
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ tables: this.tables }, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    sanitizeTable(table) {
+        if (!Array.isArray(table)) return [];
+        return table
+            .map(sanitizeEntry)
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, TABLE_SIZE);
+    }
+
+    list(version, mode, difficulty, limit) {
+        return (this.tables[HighScoreStore.tableId(version, mode, difficulty)] || []).slice(0, limit);
+    }
+
+    // Returns the entry's rank (1 = best), or null if it didn't make the table
+    add(version, mode, difficulty, entry) {
+        const id = HighScoreStore.tableId(version, mode, difficulty);
+        this.tables[id] = this.sanitizeTable([...(this.tables[id] || []), entry]);
+        this.save();
+
+        const index = this.tables[id].findIndex(existing =>
+            existing.name === entry.name && existing.score === entry.score && existing.date === entry.date);
+        return index === -1 ? null : index + 1;
+    }
+}
+
+// ---- HTTP ----
+
+function send(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The game is served from another port (live-server), so allow any origin
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        ...headers
+    });
+    response.end(body === null ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                // Stop collecting, but drain the rest so the error response still gets through
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                request.removeAllListeners('data');
+                request.resume();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+// version, mode and difficulty pick the table; all come straight from the query or body.
+// Clients from before game modes send no mode, and only ever played Classic.
+function tableParams(params) {
+    const version = params.version;
+    const mode = params.mode === undefined ? DEFAULT_GAME_MODE : params.mode;
+    const difficulty = params.difficulty;
+    if (typeof version !== 'string' || !/^[a-z0-9_-]{1,32}$/i.test(version)) return null;
+    if (typeof mode !== 'string' || !Object.prototype.hasOwnProperty.call(GameModes, mode)) return null;
+    if (typeof difficulty !== 'string' || !Object.prototype.hasOwnProperty.call(DifficultyPresets, difficulty)) return null;
+    return { version, mode, difficulty };
+}
+
+function createServer(leaderboard = new Leaderboard(DATA_FILE), limiter = new RateLimiter(RateLimits)) {
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const address = request.socket.remoteAddress;
+
+        try {
+            if (request.method === 'OPTIONS') {
+                send(response, 204, null);
+            } else if (url.pathname === '/api/health' && request.method === 'GET') {
+                send(response, 200, { ok: true });
+            } else if (url.pathname === '/api/scores' && request.method === 'GET') {
+                const wait = limiter.take('read', address);
+                if (wait) return send(response, 429, { error: 'Too many requests' }, { 'Retry-After': String(wait) });
+
+                const table = tableParams(Object.fromEntries(url.searchParams));
+                if (!table) return send(response, 400, { error: 'Unknown version, mode or difficulty' });
+
+                const limit = Math.min(TABLE_SIZE, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 10));
+                send(response, 200, { scores: leaderboard.list(table.version, table.mode, table.difficulty, limit) });
+            } else if (url.pathname === '/api/scores' && request.method === 'POST') {
+                const wait = limiter.take('submit', address);
+                if (wait) return send(response, 429, { error: 'Too many scores, try again soon' }, { 'Retry-After': String(wait) });
+
+                let body;
+                try {
+                    body = JSON.parse(await readBody(request));
+                } catch (error) {
+                    return send(response, error.status || 400, { error: error.status ? error.message : 'Body must be JSON' });
+                }
+
+                const table = body && tableParams(body);
+                const entry = sanitizeEntry(body);
+                if (!table || !entry) return send(response, 400, { error: 'Invalid score' });
+
+                const problem = implausibility(entry, table.difficulty);
+                if (problem) {
+                    console.warn(`🚫 Rejected ${entry.score} from ${address}: ${problem}`);
+                    return send(response, 422, { error: problem });
+                }
+
+                const rank = leaderboard.add(table.version, table.mode, table.difficulty, entry);
+                console.log(`🏆 ${table.version}/${table.mode}/${table.difficulty}: ${entry.name} ${entry.score}${rank ? ` (#${rank})` : ''}`);
+                send(response, 201, { rank });
+            } else {
+                send(response, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            console.error('❌ Leaderboard error:', error);
+            send(response, 500, { error: 'Server error' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const limiter = new RateLimiter(RateLimits);
+    const server = createServer(new Leaderboard(DATA_FILE), limiter);
+    setInterval(() => limiter.prune(), 60 * 1000).unref();
+
+    server.listen(PORT, () => {
+        console.log(`🏆 Leaderboard listening on http://localhost:${PORT} (data in ${DATA_FILE})`);
+    });
+}
+
+module.exports = { createServer, Leaderboard, RateLimiter, RateLimits, implausibility };
@@ -0,0 +1,779 @@
+// The rules of a run, with no DOM, canvas or audio: the player's movement, spawning, collisions,
+// scoring, combos, lives, levels and the game-over sequence. FallingFoodGame steps it with each
+// step's input, draws whatever state it is in, and hears about anything worth showing or playing
+// (a catch, a lost heart, a level up...) through onEvent. The Node tests in test/ drive it the same way.
+//
+// Events, as onEvent(type, detail):
+//   catch            { obj, points, multiplier }  good food caught (points already added)
+//   powerUp          { id, obj }                  power-up collected; obj is null when food gave it
+//   shield           { obj }                      the shield soaked up bad food
+//   hit              { obj, final }               bad food cost hearts; final when none are left
+//   vanish           { obj }                      high food passed above the player's head
+//   levelUp          { from, to }
+//   waveEvent        { label }                    a milestone event started (see waves.js)
+//   waveEventEnd     { label, cleared, bonus }    its last food is gone; bonus already added if cleared
+//   missed           { obj }                      good food got away (Survival: costs hunger)
+//   dramaticGameOver {}                           the last heart (or the hunger meter) went; the run ends 4s later
+//   gameOver         { score, level, bestCombo }  endReason says why: hearts, time, hunger or finished
+
+// Simulation runs in fixed steps so speed doesn't depend on the monitor's refresh rate
+const FIXED_TIMESTEP = 1000 / 60; // ms per simulation step
+
+// Logical playfield size. All positions, speeds and hitboxes use these units on every screen;
+// the browser game scales it to fit the window.
+const PLAYFIELD_WIDTH = 800;
+const PLAYFIELD_HEIGHT = 700;
+
+// Score multiplier by combo length, highest tier first
+const COMBO_TIERS = [
+    { combo: 20, multiplier: 5 },
+    { combo: 10, multiplier: 3 },
+    { combo: 5, multiplier: 2 }
+];
+
+const DRAMATIC_GAME_OVER_DURATION = 4000; // ms from the last heart to the end of the run
+
+class GameSimulation {
+    constructor(difficultyCurve = new DifficultyCurve(DifficultyPresets[DEFAULT_DIFFICULTY]), mode = GameModes[DEFAULT_GAME_MODE]) {
+        this.width = PLAYFIELD_WIDTH;
+        this.height = PLAYFIELD_HEIGHT;
+
+        // Rules of the game mode (see modes.js); a new mode applies from the next reset()
+        this.mode = mode;
+        this.maxLives = PowerUpTypes.extraLife.maxLives; // cap for extra hearts
+
+        // Timed effects (hit, eating, game over...) run on game time, advanced by step()
+        this.timeline = new Timeline();
+
+        this.player = {
+            x: this.width / 2 - 75,
+            y: this.height - 200,
+            width: 150,
+            height: 150,
+            speed: 480, // pixels per second
+            velocityY: 0, // pixels per second, negative is up
+            jumpVelocity: 900, // launch speed of a full jump
+            jumpCutMultiplier: 0.45, // releasing jump early keeps this much upward speed
+            gravity: 2400, // pixels per second squared
+            onGround: true,
+            jumpHeld: false,
+            color: '#4CAF50',
+            state: 'idle', // idle, walking, jumpUp, jumpFall, eating, hit
+            animationFrame: 0,
+            animationTimer: 0,
+            animationSpeed: 200, // fallback ms per frame when the manifest has no frameDuration
+            facingRight: true // Track which direction player is facing
+        };
+
+        // Sprites, keyed by player state. The browser fills these from the character manifest;
+        // frame timing drives the animation and frame masks drive collisions, so without them
+        // (as in the tests) the player collides as a plain box.
+        this.sprites = {};
+        this.spritesLoaded = {};
+
+        // Power-ups (magnet, shield, slow-mo, extra life)
+        this.powerUps = new PowerUpManager();
+        this.powerUpSpawnRate = 0.05; // Average power-up drops per second
+
+        this.fallingObjects = [];
+
+        // Authored patterns and milestone events, on top of the random spawns
+        this.waves = new WaveScheduler();
+
+        // Food the character can drop (a FoodCatalog), set before the first run
+        this.foodCatalog = null;
+
+        // Spawn rate, speed etc. come from this curve for the current level
+        this.difficultyCurve = difficultyCurve;
+
+        this.onEvent = () => {};
+
+        this.reset();
+    }
+
+    // seed picks the run's spawns; a replay passes the one it was recorded with
+    reset(seed = SeededRandom.randomSeed()) {
+        // Every timed effect lives on the timeline, so this cancels all of them at once
+        this.timeline.clear();
+        this.random = new SeededRandom(seed);
+        this.tick = 0; // simulation steps since the run started
+
+        this.score = 0;
+        this.level = 1;
+        this.levelStartScore = 0; // score at which the current level began
+        this.lives = this.startingLives;
+        this.timeLeft = this.mode.timeLimit; // ms, or null without a clock
+        this.hunger = this.mode.hunger ? this.mode.hunger.max : null;
+        this.combo = 0; // consecutive good catches
+        this.bestCombo = 0;
+        this.dramaticGameOverInProgress = false;
+        this.over = false;
+        this.endReason = null; // hearts, time, hunger or finished once the run is over
+        this.applyDifficultyLevel();
+        this.player.x = this.width / 2 - this.player.width / 2;
+        this.player.y = this.getGroundY();
+        this.player.velocityY = 0;
+        this.player.onGround = true;
+        this.player.jumpHeld = false;
+        this.player.state = 'idle';
+        this.player.animationFrame = 0;
+        this.player.animationTimer = 0;
+        this.fallingObjects = [];
+        this.powerUps.clear();
+        this.waves.reset();
+    }
+
+    get hasLives() {
+        return this.mode.lives !== null;
+    }
+
+    get startingLives() {
+        return this.hasLives ? this.mode.lives : 0;
+    }
+
+    emit(type, detail = {}) {
+        this.onEvent(type, detail);
+    }
+
+    // What a finished run scored, as kept in high score tables and replays
+    result() {
+        return { score: this.score, level: this.level, bestCombo: this.bestCombo };
+    }
+
+    // Advance one step with that step's input ({ axis, dragX, tilt, jump }, see replay.js).
+    // Steps after the run is over do nothing.
+    step(deltaTime, input) {
+        if (this.over) return;
+
+        // Update player position
+        this.updatePlayer(deltaTime, input);
+
+        // Update player animation
+        this.updatePlayerAnimation(deltaTime);
+
+        // Spawn falling objects: wave patterns first, so an event starting this step
+        // already keeps the random spawns away
+        this.updateWaves(deltaTime);
+        this.spawnObjects(deltaTime);
+        this.spawnPowerUps(deltaTime);
+
+        // Count down active power-ups
+        this.powerUps.update(deltaTime);
+
+        // Update falling objects
+        this.updateFallingObjects(deltaTime);
+
+        // Check collisions
+        this.checkCollisions();
+
+        // Update difficulty
+        this.updateDifficulty();
+
+        // Mode rules: the Time Attack clock and the Survival hunger meter
+        this.updateClock(deltaTime);
+        this.updateHunger(deltaTime);
+
+        // Check game over (but don't trigger immediately if dramatic game over is in progress)
+        if (this.hasLives && this.lives <= 0 && !this.dramaticGameOverInProgress) {
+            this.gameOver('hearts');
+        }
+
+        // Advance timed effects last, since they may end the game
+        this.timeline.update(deltaTime);
+        this.tick++;
+    }
+
+    // ---- Player ----
+
+    updatePlayer(deltaTime, input) {
+        let isMoving = false;
+        const distance = this.player.speed * deltaTime / 1000;
+        const maxX = this.width - this.player.width;
+
+        // -1 to 1; an analog stick pushed part way moves the player slower
+        const direction = input.axis;
+
+        // Move left
+        if (direction < 0 && this.player.x > 0) {
+            this.player.x = Math.max(0, this.player.x + direction * distance);
+            this.player.facingRight = false; // Face left when moving left
+            isMoving = true;
+        }
+
+        // Move right
+        if (direction > 0 && this.player.x < maxX) {
+            this.player.x = Math.min(maxX, this.player.x + direction * distance);
+            this.player.facingRight = true; // Face right when moving right
+            isMoving = true;
+        }
+
+        // Drag and tilt steering on touch devices
+        const steering = this.getTouchSteering(deltaTime, input);
+        if (Math.abs(steering) > 0.5) {
+            this.player.x = Math.max(0, Math.min(maxX, this.player.x + steering));
+            this.player.facingRight = steering > 0;
+            isMoving = true;
+        }
+
+        this.updateJump(deltaTime, input.jump);
+
+        // Update player state based on movement
+        if (this.player.state === 'eating' || this.player.state === 'hit') {
+            // Keep eating or hit state for a bit longer
+        } else if (!this.player.onGround) {
+            this.player.state = this.player.velocityY < 0 ? 'jumpUp' : 'jumpFall';
+        } else if (isMoving) {
+            this.player.state = 'walking';
+        } else {
+            this.player.state = 'idle';
+        }
+    }
+
+    // Horizontal pixels to move this step from drag or tilt steering. The input holds where the
+    // finger or tilt was, not the distance moved, so replays re-simulate it like live play.
+    getTouchSteering(deltaTime, input) {
+        if (input.dragX !== null) {
+            // Ease the player's centre toward the finger
+            const targetX = input.dragX - this.player.width / 2;
+            const catchUp = 1 - Math.exp(-ControlModes.drag.smoothing * deltaTime / 1000);
+            return (targetX - this.player.x) * catchUp;
+        }
+
+        return input.tilt * this.player.speed * deltaTime / 1000;
+    }
+
+    // Where the player stands
+    getGroundY() {
+        return this.height - 200;
+    }
+
+    updateJump(deltaTime, jumpPressed) {
+        const seconds = deltaTime / 1000;
+
+        // Jump on the press, not while the key is held
+        if (jumpPressed && !this.player.jumpHeld && this.player.onGround) {
+            this.player.velocityY = -this.player.jumpVelocity;
+            this.player.onGround = false;
+        }
+
+        // Letting go while still rising cuts the jump short (variable jump height)
+        if (!jumpPressed && this.player.jumpHeld && this.player.velocityY < 0) {
+            this.player.velocityY *= this.player.jumpCutMultiplier;
+        }
+        this.player.jumpHeld = jumpPressed;
+
+        if (this.player.onGround) return;
+
+        this.player.velocityY += this.player.gravity * seconds;
+        this.player.y += this.player.velocityY * seconds;
+
+        // Land
+        const groundY = this.getGroundY();
+        if (this.player.y >= groundY) {
+            this.player.y = groundY;
+            this.player.velocityY = 0;
+            this.player.onGround = true;
+        }
+    }
+
+    updatePlayerAnimation(deltaTime) {
+        // Update animation timer
+        this.player.animationTimer += deltaTime;
+
+        // Get the current animation for the player's state
+        const currentSprites = this.sprites[this.player.state];
+        const hasFrames = Boolean(currentSprites && currentSprites.length > 0);
+
+        // Frame timing comes from the character manifest, per frame if it sets one
+        const frame = hasFrames ? currentSprites.frame(this.player.animationFrame) : null;
+        const currentAnimationSpeed = (frame && frame.duration) || this.player.animationSpeed;
+
+        // Check if it's time to advance to the next frame
+        if (this.player.animationTimer >= currentAnimationSpeed) {
+            this.player.animationTimer = 0;
+
+            if (hasFrames) {
+                this.player.animationFrame = (this.player.animationFrame + 1) % currentSprites.length;
+            }
+        }
+    }
+
+    // The frame shown for the player right now (collisions test against the same one)
+    getPlayerFrame() {
+        let spriteToUse = null;
+
+        // Try to get the sprite for the current state
+        if (this.spritesLoaded[this.player.state]) {
+            const currentSprites = this.sprites[this.player.state];
+            if (currentSprites && currentSprites.length > 0) {
+                spriteToUse = currentSprites.frame(this.player.animationFrame);
+            }
+        }
+
+        // Characters without jump art hold their first walking frame in the air
+        if (!spriteToUse && (this.player.state === 'jumpUp' || this.player.state === 'jumpFall')) {
+            const airborneState = ['jumpFall', 'walking'].find(state => this.spritesLoaded[state]);
+            if (airborneState) {
+                spriteToUse = this.sprites[airborneState].frame(0);
+            }
+        }
+
+        // If current state sprite isn't ready, always fallback to idle (if available)
+        if (!spriteToUse && this.spritesLoaded.idle) {
+            const idleSprites = this.sprites.idle;
+            if (idleSprites && idleSprites.length > 0) {
+                // Use a simple frame for idle fallback
+                spriteToUse = idleSprites.frame(0);
+            }
+        }
+
+        return spriteToUse;
+    }
+
+    // Where the player sprite is drawn, mirrored when facing left
+    getPlayerBox() {
+        const { x, y, width, height, facingRight } = this.player;
+        return { x, y, width, height, flipX: !facingRight };
+    }
+
+    startForcedEatingAnimation() {
+        // Clear any existing eating timer
+        this.timeline.cancel(this.eatingTimer);
+
+        // Set to frame 0 (the only eating frame)
+        this.player.animationFrame = 0;
+
+        // Show eating frame for a brief duration, then return to idle
+        this.eatingTimer = this.timeline.after(150, () => {
+            if (this.player.state === 'eating') {
+                this.player.state = 'idle';
+            }
+        });
+    }
+
+    // ---- Falling objects ----
+
+    spawnObjects(deltaTime) {
+        // An event has the playfield to itself
+        if (this.waves.event) return;
+
+        // Respect the difficulty's cap on food on screen (power-ups don't count)
+        const foodOnScreen = this.fallingObjects.filter(obj => !obj.powerUp).length;
+        if (foodOnScreen >= this.maxObjects) return;
+
+        // objectSpawnRate is per second, so scale the roll by the step length
+        if (this.random.next() < this.objectSpawnRate * deltaTime / 1000) {
+            // Characters without bad food, and modes without it, only ever drop good food
+            const isGoodFood = !this.mode.badFood || this.foodCatalog.bad.length === 0 ||
+                this.random.next() > this.badFoodChance;
+            const item = this.foodCatalog.pick(isGoodFood, this.random.next);
+            if (!item) return; // nothing of that kind can spawn (every weight is 0)
+            const [minSpeed, maxSpeed] = item.speed;
+
+            this.fallingObjects.push(this.createFood(
+                item,
+                this.random.next() * (this.width - item.size),
+                this.random.range(minSpeed, maxSpeed)
+            ));
+        }
+    }
+
+    // A falling food object just above the top; speed is in pixels per second before level and gameSpeed
+    createFood(item, x, speed) {
+        return {
+            x,
+            y: -item.size,
+            width: item.size,
+            height: item.size,
+            hitboxWidth: item.hitbox.width,
+            hitboxHeight: item.hitbox.height,
+            speed: speed + this.fallSpeed, // Pixels per second, before gameSpeed
+            foodImage: item.imageElement,
+            mask: item.mask,
+            item: item,
+            isGood: item.good,
+            high: item.high,
+            points: item.good ? item.points + this.scoringLevel() * item.pointsPerLevel : 0
+        };
+    }
+
+    // Food is worth more each level up to the end of the difficulty curve, and no more after
+    // that: with combos on top, points that kept growing would clear levels faster and faster
+    scoringLevel() {
+        return Math.min(this.level, this.difficultyCurve.lastLevel);
+    }
+
+    // Patterns and milestone events (waves.js): start the level's event when it's due, spawn
+    // whatever rows are due, and pay out an event once all of its food is gone
+    updateWaves(deltaTime) {
+        if (!this.waves.enabled) return;
+
+        const hasBadFood = this.mode.badFood && this.foodCatalog.bad.length > 0;
+        const started = this.waves.startEvent(this.level, hasBadFood, this.scoringLevel());
+        if (started) {
+            this.emit('waveEvent', { label: started.definition.label });
+        }
+
+        // High food only where the pattern asks for it; a lane with nothing to drop stays empty
+        this.waves.update(deltaTime, this.level, this.random, hasBadFood).forEach(drop => {
+            const item = this.foodCatalog.pick(!drop.bad, this.random.next, item => drop.high || !item.high);
+            if (!item) return;
+
+            const x = Math.min(this.width - item.size, Math.max(0, drop.x * this.width - item.size / 2));
+            const obj = this.createFood(item, x, drop.speed);
+            obj.drift = drop.drift;
+            obj.waveEvent = drop.event;
+            this.waves.track(obj);
+            this.fallingObjects.push(obj);
+        });
+
+        const finished = this.waves.finishedEvent();
+        if (finished) {
+            this.score += finished.bonus;
+            this.emit('waveEventEnd', { label: finished.definition.label, cleared: finished.cleared, bonus: finished.bonus });
+        }
+    }
+
+    spawnPowerUps(deltaTime) {
+        if (this.random.next() < this.powerUpSpawnRate * deltaTime / 1000) {
+            // Extra hearts are no use in a mode without hearts
+            const ids = Object.keys(PowerUpTypes).filter(id => this.hasLives || id !== 'extraLife');
+            const id = this.powerUps.pick(this.random.next, ids);
+            const size = 80;
+
+            this.fallingObjects.push({
+                x: this.random.next() * (this.width - size),
+                y: -size,
+                width: size,
+                height: size,
+                hitboxWidth: size,
+                hitboxHeight: size,
+                speed: 150 + this.fallSpeed,
+                powerUp: id,
+                isGood: false,
+                points: 0
+            });
+        }
+    }
+
+    // gameSpeed after power-up modifiers such as slow-mo
+    getEffectiveGameSpeed() {
+        return this.gameSpeed * this.powerUps.speedScale();
+    }
+
+    updateFallingObjects(deltaTime) {
+        const seconds = deltaTime / 1000;
+        const gameSpeed = this.getEffectiveGameSpeed();
+        const magnet = this.powerUps.isActive('magnet') ? PowerUpTypes.magnet : null;
+        const playerCenterX = this.player.x + this.player.width / 2;
+        const playerCenterY = this.player.y + this.player.height / 2;
+
+        for (let i = this.fallingObjects.length - 1; i >= 0; i--) {
+            const obj = this.fallingObjects[i];
+            obj.y += obj.speed * gameSpeed * seconds;
+
+            // Drifting pattern food slides sideways and bounces off the edges
+            if (obj.drift) {
+                obj.x += obj.drift * gameSpeed * seconds;
+                if (obj.x < 0 || obj.x > this.width - obj.width) {
+                    obj.x = Math.min(this.width - obj.width, Math.max(0, obj.x));
+                    obj.drift = -obj.drift;
+                }
+            }
+
+            // Magnet pulls nearby good food sideways toward the player
+            if (magnet && obj.isGood) {
+                const dx = playerCenterX - (obj.x + obj.width / 2);
+                const dy = playerCenterY - (obj.y + obj.height / 2);
+                if (Math.hypot(dx, dy) < magnet.radius) {
+                    const step = Math.min(Math.abs(dx), magnet.pullSpeed * seconds);
+                    obj.x += Math.sign(dx) * step;
+                }
+            }
+
+            // High items vanish just above a standing player's head
+            if (obj.high && obj.y + (obj.height + obj.hitboxHeight) / 2 >= this.getGroundY() - 10) {
+                this.emit('vanish', { obj });
+                if (obj.isGood) {
+                    this.missFood(obj);
+                } else {
+                    this.waves.resolve(obj, 'gone');
+                }
+                this.fallingObjects.splice(i, 1);
+                continue;
+            }
+
+            // Remove objects that have fallen off screen
+            if (obj.y > this.height) {
+                // No heart penalty for missing food, but it breaks the combo
+                if (obj.isGood) {
+                    this.missFood(obj);
+                } else {
+                    this.waves.resolve(obj, 'gone');
+                }
+                this.fallingObjects.splice(i, 1);
+            }
+        }
+    }
+
+    // ---- Collisions and scoring ----
+
+    // Hitbox overlap first; then, where both the food and the current player frame have
+    // alpha masks, only solid pixels touching inside that overlap count
+    collidesWithPlayer(obj) {
+        const player = this.player;
+        const hitboxX = obj.x + (obj.width - obj.hitboxWidth) / 2; // Center the hitbox
+        const hitboxY = obj.y + (obj.height - obj.hitboxHeight) / 2; // Center the hitbox
+
+        const left = Math.max(hitboxX, player.x);
+        const top = Math.max(hitboxY, player.y);
+        const right = Math.min(hitboxX + obj.hitboxWidth, player.x + player.width);
+        const bottom = Math.min(hitboxY + obj.hitboxHeight, player.y + player.height);
+        if (left >= right || top >= bottom) return false;
+
+        const frame = this.getPlayerFrame();
+        if (!obj.mask || !frame || !frame.mask) return true;
+
+        return AlphaMask.overlap(
+            frame.mask, this.getPlayerBox(),
+            obj.mask, obj,
+            { x: left, y: top, width: right - left, height: bottom - top }
+        );
+    }
+
+    checkCollisions() {
+        for (let i = this.fallingObjects.length - 1; i >= 0; i--) {
+            const obj = this.fallingObjects[i];
+
+            if (this.collidesWithPlayer(obj)) {
+
+                if (obj.powerUp) {
+                    this.collectPowerUp(obj.powerUp, obj);
+                } else if (obj.isGood) {
+                    // Good food - extends the combo; points are scaled by its multiplier
+                    const multiplier = this.extendCombo();
+                    const points = obj.points * multiplier;
+                    this.score += points;
+                    this.feed(this.mode.hunger && this.mode.hunger.refill);
+                    this.waves.resolve(obj, 'caught');
+                    this.emit('catch', { obj, points, multiplier });
+
+                    // Plus whatever extra the catalog entry does
+                    this.applyFoodEffect(obj.item.effect, obj);
+
+                    // Trigger eating animation
+                    this.player.state = 'eating';
+                    this.player.animationFrame = 0;
+                    this.player.animationTimer = 0;
+                    this.startForcedEatingAnimation();
+                } else if (this.powerUps.consume('shield')) {
+                    // Shield soaks up the hit and breaks
+                    this.waves.resolve(obj, 'gone');
+                    this.emit('shield', { obj });
+                } else {
+                    // Bad food - lose hearts and the combo
+                    this.lives = Math.max(0, this.lives - obj.item.damage);
+                    this.resetCombo();
+                    this.waves.resolve(obj, 'hit');
+                    this.emit('hit', { obj, final: this.lives <= 0 });
+                    this.applyFoodEffect(obj.item.effect, obj);
+
+                    // Check if this is the final hit
+                    if (this.lives <= 0) {
+                        // Final hit - start dramatic game over sequence
+                        this.startDramaticGameOver();
+                    } else {
+                        // Regular hit animation
+                        this.player.state = 'hit';
+                        this.player.animationFrame = 0;
+                        this.player.animationTimer = 0;
+
+                        // Reset hit state after animation duration
+                        // Show hit animation for 1200ms (longer for 3-frame animation)
+                        this.timeline.after(1200, () => {
+                            if (this.player.state === 'hit') {
+                                this.player.state = 'idle';
+                            }
+                        });
+                    }
+                }
+
+                // Remove the object
+                this.fallingObjects.splice(i, 1);
+            }
+        }
+    }
+
+    applyFoodEffect(effect, obj) {
+        if (!effect) return;
+
+        switch (effect.type) {
+            case 'bonus':
+                this.score += effect.points || 0;
+                break;
+            case 'heal':
+                if (this.hasLives) {
+                    this.lives = Math.min(this.maxLives, this.lives + (effect.amount || 1));
+                }
+                break;
+            case 'powerup':
+                this.collectPowerUp(effect.id);
+                break;
+            default:
+                console.warn(`Unknown food effect "${effect.type}" on ${obj.item.id}`);
+        }
+    }
+
+    // Count a good catch and return the score multiplier it earns
+    extendCombo() {
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        return this.getComboMultiplier();
+    }
+
+    resetCombo() {
+        this.combo = 0;
+    }
+
+    getComboMultiplier() {
+        const tier = COMBO_TIERS.find(t => this.combo >= t.combo);
+        return tier ? tier.multiplier : 1;
+    }
+
+    // Good food fell past the player: the combo breaks, and in Survival the player gets hungrier
+    missFood(obj) {
+        this.resetCombo();
+        this.waves.resolve(obj, 'missed');
+        if (this.hunger !== null) {
+            this.hunger = Math.max(0, this.hunger - this.mode.hunger.miss);
+        }
+        this.emit('missed', { obj });
+    }
+
+    // obj is the falling power-up that was caught, or null when food's effect gave it
+    collectPowerUp(id, obj = null) {
+        const type = PowerUpTypes[id];
+        if (!type) {
+            console.warn(`Unknown power-up "${id}"`);
+            return;
+        }
+        if (!type.instant) {
+            this.powerUps.activate(id);
+        } else if (id === 'extraLife') {
+            this.lives = Math.min(this.maxLives, this.lives + 1);
+        }
+        this.emit('powerUp', { id, obj });
+    }
+
+    // ---- Levels ----
+
+    updateDifficulty() {
+        const oldLevel = this.level;
+
+        // A big catch can clear more than one level at once
+        while (this.score >= this.levelStartScore + this.pointsToLevelUp) {
+            this.levelStartScore += this.pointsToLevelUp;
+            this.level++;
+            this.applyDifficultyLevel();
+        }
+
+        if (this.level > oldLevel) {
+            this.emit('levelUp', { from: oldLevel, to: this.level });
+        }
+    }
+
+    applyDifficultyLevel() {
+        const settings = this.difficultyCurve.at(this.level);
+        this.objectSpawnRate = settings.spawnRate; // Average spawns per second
+        this.gameSpeed = settings.gameSpeed;
+        this.badFoodChance = settings.badFoodChance;
+        this.maxObjects = settings.maxObjects;
+        this.fallSpeed = settings.fallSpeed; // Pixels per second added to everything falling
+        this.pointsToLevelUp = settings.pointsToLevelUp;
+    }
+
+    // ---- Mode rules ----
+
+    // Time Attack: the run ends the moment the clock runs out
+    updateClock(deltaTime) {
+        if (this.timeLeft === null) return;
+
+        this.timeLeft = Math.max(0, this.timeLeft - deltaTime);
+        if (this.timeLeft === 0) {
+            this.gameOver('time');
+        }
+    }
+
+    // Survival: hunger drains all the time; an empty meter ends the run like the last heart does
+    updateHunger(deltaTime) {
+        if (this.hunger === null) return;
+
+        this.hunger = Math.max(0, this.hunger - this.mode.hunger.drain * deltaTime / 1000);
+        if (this.hunger === 0) {
+            this.startDramaticGameOver('hunger');
+        }
+    }
+
+    feed(amount) {
+        if (this.hunger !== null && amount) {
+            this.hunger = Math.min(this.mode.hunger.max, this.hunger + amount);
+        }
+    }
+
+    // ---- Game over ----
+
+    // The last heart (or the hunger meter) is gone: the player cries while the run plays on for
+    // a few seconds, then it ends. Bad food caught meanwhile still counts as a hit, but doesn't
+    // restart the sequence.
+    startDramaticGameOver(reason = 'hearts') {
+        if (this.dramaticGameOverInProgress) return;
+
+        this.dramaticGameOverInProgress = true;
+        this.endReason = reason;
+
+        // Keep player in crying state
+        this.player.state = 'hit';
+        this.player.animationFrame = 0;
+        this.player.animationTimer = 0;
+
+        // Start continuous crying animation
+        this.startContinuousCrying();
+        this.emit('dramaticGameOver');
+
+        // Actually end the game after the dramatic sequence
+        this.timeline.after(DRAMATIC_GAME_OVER_DURATION, () => this.gameOver(reason));
+    }
+
+    startContinuousCrying() {
+        // Clear any existing crying animation
+        this.timeline.cancel(this.continuousCryingInterval);
+
+        // Keep cycling through crying frames continuously, every 200ms
+        this.continuousCryingInterval = this.timeline.every(200, () => {
+            const hitSprites = this.sprites.hit || [];
+            if (this.player.state === 'hit' && hitSprites.length > 0) {
+                this.player.animationFrame = (this.player.animationFrame + 1) % hitSprites.length;
+            }
+        });
+    }
+
+    gameOver(reason = 'hearts') {
+        if (this.over) return;
+
+        this.over = true;
+        this.endReason = reason;
+        this.dramaticGameOverInProgress = false;
+        this.timeline.cancel(this.continuousCryingInterval);
+        this.emit('gameOver', this.result());
+    }
+
+    // Finish Run, for modes where nothing else ends it (Zen): over at once, score kept
+    finish() {
+        this.gameOver('finished');
+    }
+}
+
+// Shared with the Node tests (see test/helpers.js)
+if (typeof module !== 'undefined') {
+    module.exports = { GameSimulation, FIXED_TIMESTEP, PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT, COMBO_TIERS };
+}
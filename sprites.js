@@ -0,0 +1,111 @@
+// One player animation, built from a manifest entry in any of these forms:
+//   { "frames": ["a.png", "b.png"], "frameDuration": 100 }
+//       one image per frame
+//   { "sheet": "run.png", "frames": [{ "x": 0, "y": 0, "w": 64, "h": 64, "duration": 80 }, ...] }
+//       frame rects packed into one image (an atlas exported from the art tool)
+//   { "sheet": "run.png", "frameWidth": 64, "frameHeight": 64, "count": 6, "columns": 6 }
+//       equal cells read left to right, top to bottom; a single row is a GIF-style strip.
+//       columns defaults to as many as fit across the image.
+// Per-frame timing comes from "durations": [ms, ...], then each rect's "duration", then "frameDuration".
+class SpriteAnimation {
+    constructor(animation, loader, resolvePath = path => path) {
+        this.animation = animation;
+        this.frameDuration = animation.frameDuration || null;
+        this.frames = [];
+
+        if (animation.sheet) {
+            this.sheet = loader.image(resolvePath(animation.sheet), animation.sheet);
+        } else {
+            this.images = animation.frames.map(framePath => loader.image(resolvePath(framePath), framePath));
+        }
+    }
+
+    // Build the frame list once images have loaded; returns false if nothing is drawable
+    finalize() {
+        const animation = this.animation;
+
+        if (this.images) {
+            this.frames = this.images
+                .map((image, index) => ({
+                    image,
+                    x: 0,
+                    y: 0,
+                    width: image.naturalWidth,
+                    height: image.naturalHeight,
+                    duration: this.durationFor(index, null)
+                }))
+                .filter(frame => AssetLoader.isUsable(frame.image));
+        } else if (!AssetLoader.isUsable(this.sheet)) {
+            this.frames = [];
+        } else if (Array.isArray(animation.frames)) {
+            this.frames = animation.frames.map((rect, index) => ({
+                image: this.sheet,
+                x: rect.x,
+                y: rect.y,
+                width: rect.w,
+                height: rect.h,
+                duration: this.durationFor(index, rect.duration)
+            }));
+        } else {
+            const { frameWidth, frameHeight } = animation;
+            const columns = animation.columns || Math.max(1, Math.floor(this.sheet.naturalWidth / frameWidth));
+            const rows = Math.floor(this.sheet.naturalHeight / frameHeight);
+            const count = animation.count || columns * rows;
+
+            for (let index = 0; index < count; index++) {
+                this.frames.push({
+                    image: this.sheet,
+                    x: (index % columns) * frameWidth,
+                    y: Math.floor(index / columns) * frameHeight,
+                    width: frameWidth,
+                    height: frameHeight,
+                    duration: this.durationFor(index, null)
+                });
+            }
+        }
+
+        return this.frames.length > 0;
+    }
+
+    // Alpha mask per frame for pixel-accurate collision; prescale() keeps them
+    buildMasks() {
+        this.frames.forEach(frame => {
+            frame.mask = AlphaMask.fromImage(frame.image, frame.x, frame.y, frame.width, frame.height);
+        });
+    }
+
+    durationFor(index, rectDuration) {
+        const durations = this.animation.durations;
+        if (Array.isArray(durations) && durations[index]) return durations[index];
+        return rectDuration || this.frameDuration;
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    frame(index) {
+        return this.frames[index % this.frames.length];
+    }
+
+    // Redraw every frame at its display size, so each draw is a plain copy instead of a
+    // downscale from the full-size art. The full-size frames are kept: after a resize the
+    // frames are redrawn from them, not from a copy made for the old size.
+    prescale(width, height) {
+        const size = { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)) };
+        if (this.prescaled && this.prescaled.width === size.width && this.prescaled.height === size.height) return;
+
+        this.sourceFrames = this.sourceFrames || this.frames;
+        this.frames = this.sourceFrames.map(frame => {
+            const canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(size.width, size.height)
+                : Object.assign(document.createElement('canvas'), size);
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(frame.image, frame.x, frame.y, frame.width, frame.height, 0, 0, size.width, size.height);
+
+            return { ...frame, image: canvas, x: 0, y: 0, ...size };
+        });
+        this.prescaled = size;
+    }
+}
@@ -0,0 +1,94 @@
+// In the browser the game's scripts share one global scope. The DOM-free ones are loaded the
+// same way here: whatever each file exports becomes a global, so they find each other as usual.
+const SCRIPTS = [
+    'timeline.js',
+    'random.js',
+    'collision.js',
+    'food.js',
+    'powerups.js',
+    'difficulty.js',
+    'controls.js',
+    'input.js',
+    'modes.js',
+    'waves.js',
+    'scores.js',
+    'replay.js',
+    'simulation.js'
+];
+SCRIPTS.forEach(file => Object.assign(global, require(`../${file}`)));
+
+// Stand-in for the browser's localStorage (the score and replay stores use it)
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+global.localStorage = new MemoryStorage();
+
+// A small catalog: one good food, one bad, and one that heals
+const TEST_FOOD = [
+    { id: 'apple', image: 'apple.png', points: 10, pointsPerLevel: 0 },
+    { id: 'broccoli', image: 'broccoli.png', good: false },
+    { id: 'soup', image: 'soup.png', points: 5, pointsPerLevel: 0, weight: 0, effect: { type: 'heal' } }
+];
+
+// A fresh run with nothing spawning on its own, recording every event it reports.
+// Tests put food exactly where they want it with dropOnPlayer().
+function createSimulation(difficulty = 'normal', seed = 1, mode = 'classic') {
+    const sim = new GameSimulation(new DifficultyCurve(DifficultyPresets[difficulty]), GameModes[mode]);
+    sim.foodCatalog = new FoodCatalog(TEST_FOOD);
+    sim.reset(seed);
+    sim.objectSpawnRate = 0;
+    sim.powerUpSpawnRate = 0;
+    sim.waves.enabled = false;
+
+    sim.events = [];
+    sim.onEvent = (type, detail) => sim.events.push({ type, ...detail });
+    return sim;
+}
+
+// A falling object built like spawnObjects() builds one, centred on the player
+function dropOnPlayer(sim, foodId) {
+    const item = sim.foodCatalog.items.find(entry => entry.id === foodId);
+    const obj = {
+        x: sim.player.x + (sim.player.width - item.size) / 2,
+        y: sim.player.y + (sim.player.height - item.size) / 2,
+        width: item.size,
+        height: item.size,
+        hitboxWidth: item.hitbox.width,
+        hitboxHeight: item.hitbox.height,
+        speed: 0,
+        item,
+        isGood: item.good,
+        high: item.high,
+        points: item.good ? item.points + sim.level * item.pointsPerLevel : 0
+    };
+    sim.fallingObjects.push(obj);
+    return obj;
+}
+
+// Step the run for ms of game time, holding one input throughout
+function runFor(sim, ms, input = NO_INPUT) {
+    const steps = Math.round(ms / FIXED_TIMESTEP);
+    for (let i = 0; i < steps; i++) {
+        sim.step(FIXED_TIMESTEP, input);
+    }
+}
+
+module.exports = { MemoryStorage, TEST_FOOD, createSimulation, dropOnPlayer, runFor };
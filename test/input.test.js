@@ -0,0 +1,96 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+// Stand-ins for document.activeElement
+const BUTTON = { tagName: 'BUTTON' };
+const TEXT_BOX = { tagName: 'INPUT', type: 'text' };
+const SLIDER = { tagName: 'INPUT', type: 'range' };
+
+// A gamepad with only the given buttons held
+const gamepad = (...held) => ({
+    buttons: Array.from({ length: 16 }, (_, index) => ({ pressed: held.includes(index) })),
+    axes: [0, 0]
+});
+
+describe('keyboard', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('does the bound action when nothing has focus', () => {
+        const input = new InputManager();
+        const pressed = [];
+        input.onPress = action => pressed.push(action);
+
+        assert.deepStrictEqual(input.keyDown('Enter'), ['confirm']);
+        assert.deepStrictEqual(pressed, ['confirm']);
+    });
+
+    it('leaves Enter and Space to a focused button so it gets pressed', () => {
+        const input = new InputManager();
+        const pressed = [];
+        input.onPress = action => pressed.push(action);
+
+        assert.deepStrictEqual(input.keyDown('Enter', false, BUTTON), []);
+        assert.deepStrictEqual(input.keyDown('Space', false, BUTTON), []);
+        assert.strictEqual(input.isDown('jump'), false);
+        assert.deepStrictEqual(pressed, []);
+
+        // Keys a button doesn't use still do their action
+        assert.deepStrictEqual(input.keyDown('Escape', false, BUTTON), ['pause']);
+        assert.deepStrictEqual(pressed, ['pause']);
+    });
+
+    it('leaves every key to a focused text box', () => {
+        const input = new InputManager();
+
+        assert.deepStrictEqual(input.keyDown('KeyP', false, TEXT_BOX), []);
+        assert.deepStrictEqual(input.keyDown('ArrowLeft', false, TEXT_BOX), []);
+        assert.strictEqual(input.axis(), 0);
+    });
+
+    it('leaves the arrows to a focused slider but still pauses', () => {
+        const input = new InputManager();
+
+        assert.deepStrictEqual(input.keyDown('ArrowLeft', false, SLIDER), []);
+        assert.deepStrictEqual(input.keyDown('Escape', false, SLIDER), ['pause']);
+        assert.deepStrictEqual(input.keyDown('KeyP', false, SLIDER), ['pause']);
+    });
+
+    it('binds the next key while remapping, even on a focused button', () => {
+        const input = new InputManager();
+        let bound = null;
+        input.captureNext('keys', value => {
+            bound = value;
+        });
+
+        input.keyDown('Space', false, BUTTON);
+        assert.strictEqual(bound, 'Space');
+        assert.strictEqual(input.capture, null);
+    });
+});
+
+describe('holdOver', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('keeps a held gamepad A from jumping until it is let go', () => {
+        const input = new InputManager();
+        let pad = gamepad(0);
+        input.getGamepads = () => [pad];
+        input.onPress = action => {
+            if (action === 'confirm') input.holdOver('jump');
+        };
+
+        input.pollGamepads();
+        assert.strictEqual(input.isDown('jump'), false);
+
+        pad = gamepad();
+        input.pollGamepads();
+        assert.strictEqual(input.isDown('jump'), false);
+
+        // The next press is a jump again
+        input.onPress = () => {};
+        pad = gamepad(0);
+        input.pollGamepads();
+        assert.strictEqual(input.isDown('jump'), true);
+    });
+});
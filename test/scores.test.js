@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+// What saveHighScore() stores for a finished run
+const entry = (name, score, extra = {}) => ({ name, score, level: 1, bestCombo: 0, date: '2024-01-01', ...extra });
+
+const fillTable = (store, scores) => {
+    scores.forEach((score, i) => store.add('sofia', 'classic', 'normal', entry(`P${i}`, score)));
+};
+
+describe('high scores', () => {
+    beforeEach(() => localStorage.clear());
+
+    describe('isHighScore (qualifies)', () => {
+        it('takes any score while the table has room', () => {
+            const store = new HighScoreStore();
+            fillTable(store, [500, 400]);
+
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'normal', 0), true);
+        });
+
+        it('needs to beat the lowest entry once the table is full', () => {
+            const store = new HighScoreStore();
+            fillTable(store, [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000]);
+
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'normal', 101), true);
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'normal', 100), false);
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'normal', 50), false);
+        });
+
+        it('keeps each character, mode and difficulty apart', () => {
+            const store = new HighScoreStore();
+            fillTable(store, Array(MAX_HIGH_SCORES).fill(1000));
+
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'normal', 10), false);
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'hard', 10), true);
+            assert.strictEqual(store.qualifies('sofia', 'zen', 'normal', 10), true);
+            assert.strictEqual(store.qualifies('rhen', 'classic', 'normal', 10), true);
+        });
+    });
+
+    describe('saveHighScore (add)', () => {
+        it('keeps the best scores first', () => {
+            const store = new HighScoreStore();
+            fillTable(store, [300, 100, 200]);
+
+            const table = store.add('sofia', 'classic', 'normal', entry('New', 250));
+
+            assert.deepStrictEqual(table.map(e => e.score), [300, 250, 200, 100]);
+            assert.strictEqual(table[1].name, 'New');
+        });
+
+        it('puts a tie after the scores that got there first', () => {
+            const store = new HighScoreStore();
+            store.add('sofia', 'classic', 'normal', entry('First', 200));
+
+            const table = store.add('sofia', 'classic', 'normal', entry('Second', 200));
+
+            assert.deepStrictEqual(table.map(e => e.name), ['First', 'Second']);
+        });
+
+        it('drops the lowest entry when a better score pushes past MAX_HIGH_SCORES', () => {
+            const store = new HighScoreStore();
+            fillTable(store, [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000]);
+
+            const table = store.add('sofia', 'classic', 'normal', entry('New', 150));
+
+            assert.strictEqual(table.length, MAX_HIGH_SCORES);
+            assert.strictEqual(table[MAX_HIGH_SCORES - 1].name, 'New');
+            assert.ok(!table.some(e => e.score === 100));
+        });
+
+        it('stores what a finished run reports, and keeps it across reloads', () => {
+            const sim = new GameSimulation();
+            Object.assign(sim, { score: 420, level: 3, bestCombo: 7 });
+
+            const store = new HighScoreStore();
+            assert.strictEqual(store.qualifies('sofia', 'classic', 'normal', sim.result().score), true);
+            store.add('sofia', 'classic', 'normal', { name: '  Ana\u0007 ', ...sim.result(), date: '2024-01-01' });
+
+            assert.deepStrictEqual(new HighScoreStore().get('sofia', 'classic', 'normal'),
+                [{ name: 'Ana', score: 420, level: 3, bestCombo: 7, date: '2024-01-01' }]);
+        });
+
+        it('ignores an entry without a valid score', () => {
+            const store = new HighScoreStore();
+            fillTable(store, [100]);
+
+            const table = store.add('sofia', 'classic', 'normal', entry('Cheat', -5));
+
+            assert.deepStrictEqual(table.map(e => e.name), ['P0']);
+        });
+    });
+
+    describe('game modes', () => {
+        it('moves tables saved before modes into Classic', () => {
+            localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify({
+                schema: 2,
+                tables: { 'sofia/hard': [entry('Old', 300)] }
+            }));
+
+            const store = new HighScoreStore();
+
+            assert.deepStrictEqual(store.get('sofia', 'classic', 'hard').map(e => e.name), ['Old']);
+            assert.strictEqual(JSON.parse(localStorage.getItem(HIGH_SCORES_KEY)).schema, HIGH_SCORES_SCHEMA);
+        });
+
+        it('imports an export from before modes into Classic', () => {
+            const store = new HighScoreStore();
+
+            const added = store.import(JSON.stringify({ schema: 2, tables: { 'sofia/normal': [entry('Old', 300)] } }));
+
+            assert.strictEqual(added, 1);
+            assert.deepStrictEqual(store.get('sofia', 'classic', 'normal').map(e => e.name), ['Old']);
+        });
+    });
+});
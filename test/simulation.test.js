@@ -0,0 +1,399 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, dropOnPlayer, runFor } = require('./helpers.js');
+
+const eventTypes = sim => sim.events.map(event => event.type);
+
+describe('checkCollisions', () => {
+    it('scores good food on the player and starts the eating animation', () => {
+        const sim = createSimulation();
+        const apple = dropOnPlayer(sim, 'apple');
+
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.score, 10);
+        assert.strictEqual(sim.combo, 1);
+        assert.strictEqual(sim.player.state, 'eating');
+        assert.deepStrictEqual(sim.fallingObjects, []);
+        assert.deepStrictEqual(sim.events, [{ type: 'catch', obj: apple, points: 10, multiplier: 1 }]);
+    });
+
+    it('leaves food alone until its hitbox reaches the player', () => {
+        const sim = createSimulation();
+        const broccoli = dropOnPlayer(sim, 'broccoli');
+
+        // The sprites overlap by 20px, but bad food's hitbox starts 25px inside its sprite
+        broccoli.x = sim.player.x + sim.player.width - 20;
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.lives, sim.startingLives);
+        assert.deepStrictEqual(sim.fallingObjects, [broccoli]);
+        assert.deepStrictEqual(sim.events, []);
+    });
+
+    it('multiplies points once the combo reaches a tier', () => {
+        const sim = createSimulation();
+        for (let i = 0; i < 5; i++) {
+            dropOnPlayer(sim, 'apple');
+            sim.checkCollisions();
+        }
+
+        // Four catches at x1, the fifth at x2
+        assert.strictEqual(sim.score, 4 * 10 + 20);
+        assert.strictEqual(sim.events[4].multiplier, 2);
+        assert.strictEqual(sim.bestCombo, 5);
+    });
+
+    it('takes a heart for bad food and breaks the combo', () => {
+        const sim = createSimulation();
+        sim.combo = 3;
+        dropOnPlayer(sim, 'broccoli');
+
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.lives, sim.startingLives - 1);
+        assert.strictEqual(sim.combo, 0);
+        assert.strictEqual(sim.player.state, 'hit');
+        assert.deepStrictEqual(eventTypes(sim), ['hit']);
+        assert.strictEqual(sim.events[0].final, false);
+
+        // The hurt look wears off on its own
+        runFor(sim, 1250);
+        assert.strictEqual(sim.player.state, 'idle');
+    });
+
+    it('lets a shield soak up one bad food', () => {
+        const sim = createSimulation();
+        sim.powerUps.activate('shield');
+        dropOnPlayer(sim, 'broccoli');
+        dropOnPlayer(sim, 'broccoli');
+
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.lives, sim.startingLives - 1);
+        assert.strictEqual(sim.powerUps.isActive('shield'), false);
+        assert.deepStrictEqual(eventTypes(sim), ['shield', 'hit']);
+    });
+
+    it('collects falling power-ups', () => {
+        const sim = createSimulation();
+        const bubble = dropOnPlayer(sim, 'apple');
+        Object.assign(bubble, { powerUp: 'magnet', isGood: false, points: 0 });
+
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.powerUps.isActive('magnet'), true);
+        assert.strictEqual(sim.score, 0);
+        assert.deepStrictEqual(sim.events, [{ type: 'powerUp', id: 'magnet', obj: bubble }]);
+    });
+
+    it('applies food effects, with hearts capped', () => {
+        const sim = createSimulation();
+        sim.lives = sim.maxLives;
+        dropOnPlayer(sim, 'soup');
+
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.score, 5);
+        assert.strictEqual(sim.lives, sim.maxLives);
+    });
+});
+
+describe('updateDifficulty', () => {
+    it('stays on the level until its points are reached', () => {
+        const sim = createSimulation();
+        sim.score = sim.pointsToLevelUp - 1;
+
+        sim.updateDifficulty();
+
+        assert.strictEqual(sim.level, 1);
+        assert.deepStrictEqual(sim.events, []);
+    });
+
+    it('levels up and takes the next level\'s settings from the curve', () => {
+        const sim = createSimulation('hard');
+        sim.score = sim.pointsToLevelUp;
+
+        sim.updateDifficulty();
+
+        const settings = sim.difficultyCurve.at(2);
+        assert.strictEqual(sim.level, 2);
+        assert.strictEqual(sim.levelStartScore, 250);
+        assert.strictEqual(sim.objectSpawnRate, settings.spawnRate);
+        assert.strictEqual(sim.gameSpeed, settings.gameSpeed);
+        assert.strictEqual(sim.pointsToLevelUp, settings.pointsToLevelUp);
+        assert.deepStrictEqual(sim.events, [{ type: 'levelUp', from: 1, to: 2 }]);
+    });
+
+    it('clears several levels at once after a big catch', () => {
+        const sim = createSimulation();
+        sim.score = 650;
+
+        sim.updateDifficulty();
+
+        assert.strictEqual(sim.level, 4);
+        assert.strictEqual(sim.level, sim.difficultyCurve.levelForScore(650));
+        assert.deepStrictEqual(sim.events, [{ type: 'levelUp', from: 1, to: 4 }]);
+    });
+
+    it('runs after collisions in each step', () => {
+        const sim = createSimulation();
+        sim.score = sim.pointsToLevelUp - 10;
+        dropOnPlayer(sim, 'apple');
+
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+
+        assert.strictEqual(sim.level, 2);
+        assert.deepStrictEqual(eventTypes(sim), ['catch', 'levelUp']);
+    });
+
+    it('keeps fall speed and points capped past the end of the curve on a long Zen run', () => {
+        const sim = createSimulation('normal', 3, 'zen');
+        sim.foodCatalog = new FoodCatalog([{ id: 'apple', image: 'apple.png', points: 10, pointsPerLevel: 5, speed: [90, 180] }]);
+        sim.waves.enabled = true;
+        sim.applyDifficultyLevel(); // food spawns again
+
+        const top = sim.difficultyCurve.at(sim.difficultyCurve.lastLevel);
+        const fastest = Math.max(180, ...Object.values(WavePatterns).map(pattern => pattern.speed)) + top.fallSpeed;
+        const levelAt = [];
+        let caughtLastMinute = 0;
+
+        // Chase the lowest food for four minutes, long enough for combos of 20+
+        const input = { ...NO_INPUT };
+        for (let minute = 0; minute < 4; minute++) {
+            sim.events = [];
+            for (let i = 0; i < 3600; i++) {
+                const lowest = sim.fallingObjects.filter(obj => obj.isGood).sort((a, b) => b.y - a.y)[0];
+                input.axis = lowest ? Math.sign(lowest.x - sim.player.x) : 0;
+                sim.step(FIXED_TIMESTEP, input);
+                assert.ok(sim.fallingObjects.every(obj => obj.speed <= fastest));
+            }
+            const catches = sim.events.filter(event => event.type === 'catch');
+            assert.ok(catches.every(event => event.obj.points <= 10 + top.level * 5));
+            caughtLastMinute = catches.length;
+            levelAt.push(sim.level);
+        }
+
+        assert.ok(sim.level > top.level, 'the run should get past the end of the curve');
+        assert.ok(caughtLastMinute > 0, 'food should still be catchable');
+        // Levels keep coming at about the same pace instead of faster and faster
+        assert.ok(levelAt[3] - levelAt[2] <= 1.25 * (levelAt[2] - levelAt[1]));
+    });
+});
+
+describe('dramatic game over', () => {
+    const loseLastHeart = (sim) => {
+        sim.lives = 1;
+        dropOnPlayer(sim, 'broccoli');
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+    };
+
+    it('starts on the last heart without ending the run yet', () => {
+        const sim = createSimulation();
+        loseLastHeart(sim);
+
+        assert.strictEqual(sim.lives, 0);
+        assert.strictEqual(sim.dramaticGameOverInProgress, true);
+        assert.strictEqual(sim.over, false);
+        assert.strictEqual(sim.player.state, 'hit');
+        assert.deepStrictEqual(eventTypes(sim), ['hit', 'dramaticGameOver']);
+        assert.strictEqual(sim.events[0].final, true);
+    });
+
+    it('ends the run four seconds later, once', () => {
+        const sim = createSimulation();
+        sim.score = 120;
+        sim.bestCombo = 4;
+        loseLastHeart(sim);
+
+        runFor(sim, 3900);
+        assert.strictEqual(sim.over, false);
+        assert.strictEqual(sim.player.state, 'hit');
+
+        runFor(sim, 200);
+        assert.strictEqual(sim.over, true);
+        assert.strictEqual(sim.dramaticGameOverInProgress, false);
+        assert.deepStrictEqual(sim.events.filter(event => event.type === 'gameOver'),
+            [{ type: 'gameOver', score: 120, level: 1, bestCombo: 4 }]);
+
+        // Nothing moves once it's over
+        const tick = sim.tick;
+        runFor(sim, 1000);
+        assert.strictEqual(sim.tick, tick);
+        assert.strictEqual(eventTypes(sim).filter(type => type === 'gameOver').length, 1);
+    });
+
+    it('isn\'t restarted by more bad food during the sequence', () => {
+        const sim = createSimulation();
+        loseLastHeart(sim);
+        runFor(sim, 2000);
+
+        dropOnPlayer(sim, 'broccoli');
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+        assert.strictEqual(eventTypes(sim).filter(type => type === 'dramaticGameOver').length, 1);
+
+        runFor(sim, 2100);
+        assert.strictEqual(sim.over, true);
+    });
+
+    it('ends at once when hearts run out some other way', () => {
+        const sim = createSimulation();
+        sim.lives = 0;
+
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+
+        assert.strictEqual(sim.over, true);
+        assert.deepStrictEqual(eventTypes(sim), ['gameOver']);
+    });
+
+    it('is forgotten by reset()', () => {
+        const sim = createSimulation();
+        loseLastHeart(sim);
+        sim.reset(2);
+        runFor(sim, 5000);
+
+        assert.strictEqual(sim.over, false);
+        assert.strictEqual(sim.lives, sim.startingLives);
+    });
+});
+
+describe('game modes', () => {
+    it('Classic has no clock and no hunger meter', () => {
+        const sim = createSimulation();
+
+        assert.strictEqual(sim.timeLeft, null);
+        assert.strictEqual(sim.hunger, null);
+        assert.strictEqual(sim.hasLives, true);
+    });
+
+    it('Time Attack ends the run when the clock runs out', () => {
+        const sim = createSimulation('normal', 1, 'timeAttack');
+
+        runFor(sim, 59900);
+        assert.strictEqual(sim.over, false);
+
+        runFor(sim, 200);
+        assert.strictEqual(sim.over, true);
+        assert.strictEqual(sim.endReason, 'time');
+        assert.strictEqual(sim.timeLeft, 0);
+    });
+
+    it('Zen drops only good food and never extra hearts', () => {
+        const sim = createSimulation('hard', 3, 'zen');
+        sim.applyDifficultyLevel(); // food spawns again
+        sim.powerUpSpawnRate = 5;
+
+        const seen = [];
+        for (let i = 0; i < 600; i++) {
+            sim.step(FIXED_TIMESTEP, NO_INPUT);
+            seen.push(...sim.fallingObjects);
+        }
+
+        assert.ok(seen.some(obj => obj.item), 'food should have spawned');
+        assert.ok(seen.every(obj => obj.powerUp || obj.isGood));
+        assert.ok(seen.every(obj => obj.powerUp !== 'extraLife'));
+    });
+
+    it('Zen has no hearts to lose and ends only when finished', () => {
+        const sim = createSimulation('normal', 1, 'zen');
+
+        assert.strictEqual(sim.lives, 0);
+        runFor(sim, 1000);
+        assert.strictEqual(sim.over, false);
+
+        sim.finish();
+        assert.strictEqual(sim.over, true);
+        assert.strictEqual(sim.endReason, 'finished');
+        assert.deepStrictEqual(eventTypes(sim), ['gameOver']);
+    });
+
+    it('Survival costs hunger for missed food and gives it back for catches', () => {
+        const sim = createSimulation('normal', 1, 'survival');
+        const { max, miss, refill } = GameModes.survival.hunger;
+
+        const apple = dropOnPlayer(sim, 'apple');
+        apple.y = sim.height + 10; // already past the bottom
+        sim.updateFallingObjects(FIXED_TIMESTEP);
+        assert.strictEqual(sim.hunger, max - miss);
+        assert.deepStrictEqual(eventTypes(sim), ['missed']);
+
+        dropOnPlayer(sim, 'apple');
+        sim.checkCollisions();
+        assert.strictEqual(sim.hunger, max - miss + refill);
+    });
+
+    it('Survival ends dramatically when the meter runs dry', () => {
+        const sim = createSimulation('normal', 1, 'survival');
+        sim.hunger = 1;
+
+        runFor(sim, 1000);
+        assert.strictEqual(sim.hunger, 0);
+        assert.strictEqual(sim.dramaticGameOverInProgress, true);
+        assert.strictEqual(sim.lives, sim.startingLives);
+
+        runFor(sim, 4000);
+        assert.strictEqual(sim.over, true);
+        assert.strictEqual(sim.endReason, 'hunger');
+    });
+});
+
+describe('determinism', () => {
+    // Steer left and right and jump now and then, the same way every time
+    const inputAt = tick => ({
+        axis: Math.sin(tick / 40),
+        dragX: null,
+        tilt: 0,
+        jump: tick % 90 < 20
+    });
+
+    const play = (sim, ticks, recorder = null) => {
+        for (let tick = 0; tick < ticks && !sim.over; tick++) {
+            const input = recorder ? recorder.record(inputAt(tick)) : inputAt(tick);
+            sim.step(FIXED_TIMESTEP, input);
+        }
+    };
+
+    const snapshot = sim => ({
+        tick: sim.tick,
+        score: sim.score,
+        lives: sim.lives,
+        level: sim.level,
+        player: { x: sim.player.x, y: sim.player.y },
+        falling: sim.fallingObjects.map(obj => [obj.x, obj.y, obj.item ? obj.item.id : obj.powerUp])
+    });
+
+    it('plays out the same from the same seed and input', () => {
+        const first = createSimulation('hard', 42);
+        const second = createSimulation('hard', 42);
+        // Food and wave patterns spawn again
+        [first, second].forEach(sim => {
+            sim.applyDifficultyLevel();
+            sim.waves.enabled = true;
+        });
+
+        play(first, 3000);
+        play(second, 3000);
+
+        assert.ok(first.events.length > 0, 'something should have happened');
+        assert.deepStrictEqual(snapshot(second), snapshot(first));
+    });
+
+    it('re-simulates a recorded run from its replay', () => {
+        const live = createSimulation('hard', 7);
+        live.applyDifficultyLevel();
+        live.waves.enabled = true;
+        const recorder = new InputRecorder();
+        recorder.start({ seed: 7, version: 'test', difficulty: 'hard', date: '' });
+        play(live, 3000, recorder);
+        const replay = ReplayPlayer.fromData(recorder.finish(live.result()));
+
+        const watched = createSimulation('hard', replay.replay.seed);
+        watched.applyDifficultyLevel();
+        watched.waves.enabled = true;
+        while (watched.tick < replay.ticks && !watched.over) {
+            watched.step(FIXED_TIMESTEP, replay.inputAt(watched.tick));
+        }
+
+        assert.deepStrictEqual(snapshot(watched), snapshot(live));
+    });
+});
@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TEST_FOOD, createSimulation, runFor } = require('./helpers.js');
+
+// A run with patterns on but nothing else spawning
+const createWaveSimulation = (mode = 'classic') => {
+    const sim = createSimulation('normal', 1, mode);
+    sim.waves.enabled = true;
+    return sim;
+};
+
+const lanesOf = (sim, objects) => objects.map(obj => Math.floor((obj.x + obj.width / 2) / sim.width * 8));
+
+describe('wave patterns', () => {
+    it('drops a pattern row by row, in its lanes, all at one speed', () => {
+        const sim = createWaveSimulation();
+        sim.waves.patterns = { line: { lanes: 8, interval: 500, speed: 200, minLevel: 1, rows: ['G.......', '.G......', '..G.....'] } };
+        sim.waves.queue.push({ id: 'line', event: null });
+
+        sim.updateWaves(FIXED_TIMESTEP);
+        assert.deepStrictEqual(lanesOf(sim, sim.fallingObjects), [0]);
+
+        runFor(sim, 1000);
+        assert.deepStrictEqual(lanesOf(sim, [...sim.fallingObjects].sort((a, b) => b.y - a.y)), [0, 1, 2]);
+        assert.ok(sim.fallingObjects.every(obj => obj.speed === 200 + sim.fallSpeed));
+    });
+
+    it('leaves one gap in a wall of bad food', () => {
+        const sim = createWaveSimulation();
+        sim.waves.queue.push({ id: 'badWall', event: null });
+
+        sim.updateWaves(FIXED_TIMESTEP);
+
+        const lanes = lanesOf(sim, sim.fallingObjects).sort();
+        assert.strictEqual(lanes.length, 6);
+        assert.ok(sim.fallingObjects.every(obj => !obj.isGood));
+        const gap = [0, 1, 2, 3, 4, 5, 6, 7].filter(lane => !lanes.includes(lane));
+        assert.strictEqual(gap[1] - gap[0], 1);
+    });
+
+    it('bounces drifting food off the edge of the playfield', () => {
+        const sim = createWaveSimulation();
+        sim.waves.patterns = { slide: { lanes: 8, interval: 0, speed: 0, drift: 300, minLevel: 1, rows: ['.......G'] } };
+        sim.waves.queue.push({ id: 'slide', event: null });
+        sim.updateWaves(FIXED_TIMESTEP);
+        const [apple] = sim.fallingObjects;
+
+        runFor(sim, 500);
+
+        assert.ok(apple.drift < 0);
+        assert.ok(apple.x <= sim.width - apple.width);
+    });
+
+    it('keeps high food out of patterns unless they ask for it', () => {
+        const sim = createWaveSimulation();
+        // A catalog where almost every good pick would be high
+        sim.foodCatalog = new FoodCatalog([...TEST_FOOD, { id: 'cherry', image: 'cherry.png', high: true, weight: 1000 }]);
+        sim.waves.patterns = {
+            low: { lanes: 8, interval: 0, speed: 200, minLevel: 1, rows: ['GGGGGGGG'] },
+            reach: { lanes: 8, interval: 0, speed: 200, high: true, minLevel: 1, rows: ['GGGGGGGG'] }
+        };
+
+        sim.waves.queue.push({ id: 'low', event: null });
+        sim.updateWaves(FIXED_TIMESTEP);
+        assert.ok(sim.fallingObjects.every(obj => !obj.high));
+
+        sim.fallingObjects = [];
+        sim.waves.queue.push({ id: 'reach', event: null });
+        sim.updateWaves(FIXED_TIMESTEP);
+        assert.ok(sim.fallingObjects.some(obj => obj.high));
+    });
+
+    it('leaves a lane empty when no food of its kind can spawn', () => {
+        const sim = createWaveSimulation();
+        sim.foodCatalog = new FoodCatalog([{ id: 'apple', image: 'apple.png', weight: 0 }, { id: 'broccoli', image: 'broccoli.png', good: false }]);
+        sim.waves.queue.push({ id: 'zigZag', event: null });
+
+        assert.doesNotThrow(() => sim.updateWaves(FIXED_TIMESTEP));
+        assert.deepStrictEqual(sim.fallingObjects, []);
+    });
+
+    it('starts a random pattern once the quiet time is over', () => {
+        const sim = createWaveSimulation();
+
+        runFor(sim, WAVE_QUIET_TIME[1] + 100);
+
+        assert.ok(sim.fallingObjects.length > 0, 'a pattern should have dropped food');
+        assert.ok(sim.fallingObjects.every(obj => !obj.waveEvent));
+    });
+
+    it('skips patterns with bad food where there is none', () => {
+        const sim = createWaveSimulation('zen');
+
+        runFor(sim, 60000);
+
+        assert.ok(sim.fallingObjects.every(obj => obj.isGood));
+    });
+
+    it('does nothing while switched off, as in replays from before patterns', () => {
+        const sim = createSimulation();
+
+        runFor(sim, WAVE_QUIET_TIME[1] + 100);
+
+        assert.deepStrictEqual(sim.fallingObjects, []);
+    });
+});
+
+describe('milestone events', () => {
+    // Level 5 reached, with one short event to play
+    const reachMilestone = (sim, sequence = ['line']) => {
+        sim.waves.patterns = { line: { lanes: 8, interval: 200, speed: 300, minLevel: 1, rows: ['...G....', '...B....', '...G....'] } };
+        sim.waves.events = [{ label: 'Test Event', sequence, catch: 1, bonus: 100, bonusPerLevel: 10 }];
+        sim.level = WAVE_EVENT_EVERY;
+    };
+
+    const eventEnd = sim => sim.events.find(event => event.type === 'waveEventEnd');
+
+    it('starts at the milestone level and holds off random spawns', () => {
+        const sim = createWaveSimulation();
+        reachMilestone(sim);
+        sim.objectSpawnRate = 1000;
+
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+
+        assert.deepStrictEqual(sim.events[0], { type: 'waveEvent', label: 'Test Event' });
+        assert.ok(sim.fallingObjects.every(obj => obj.waveEvent));
+    });
+
+    it('pays its bonus when every good food is caught without a hit', () => {
+        const sim = createWaveSimulation();
+        reachMilestone(sim);
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+        runFor(sim, 600);
+
+        // Pretend the player caught the good food and dodged the bad
+        const event = sim.waves.event;
+        sim.fallingObjects.forEach(obj => sim.waves.resolve(obj, obj.isGood ? 'caught' : 'gone'));
+        sim.fallingObjects = [];
+        const score = sim.score;
+        sim.step(FIXED_TIMESTEP, NO_INPUT);
+
+        assert.strictEqual(event.caught, 2);
+        assert.deepStrictEqual(eventEnd(sim), { type: 'waveEventEnd', label: 'Test Event', cleared: true, bonus: 150 });
+        assert.strictEqual(sim.score, score + 150);
+        assert.strictEqual(sim.waves.event, null);
+    });
+
+    it('isn\'t cleared when its food gets away', () => {
+        const sim = createWaveSimulation();
+        reachMilestone(sim);
+        sim.player.x = 0; // nowhere near lane 3
+
+        runFor(sim, 5000);
+
+        assert.deepStrictEqual(eventEnd(sim), { type: 'waveEventEnd', label: 'Test Event', cleared: false, bonus: 0 });
+        assert.strictEqual(sim.score, 0);
+    });
+
+    it('still ends when some of its food couldn\'t spawn', () => {
+        const sim = createWaveSimulation();
+        reachMilestone(sim);
+        sim.foodCatalog = new FoodCatalog([{ id: 'apple', image: 'apple.png', weight: 0 }, { id: 'broccoli', image: 'broccoli.png', good: false }]);
+        sim.player.x = 0;
+
+        runFor(sim, 5000);
+
+        assert.deepStrictEqual(eventEnd(sim), { type: 'waveEventEnd', label: 'Test Event', cleared: true, bonus: 150 });
+    });
+
+    it('comes once per milestone', () => {
+        const sim = createWaveSimulation();
+        reachMilestone(sim);
+        sim.player.x = 0;
+
+        runFor(sim, 10000);
+
+        assert.strictEqual(sim.events.filter(event => event.type === 'waveEvent').length, 1);
+    });
+});
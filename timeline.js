@@ -0,0 +1,96 @@
+// Easing curves for tweens: map linear progress (0-1) to eased progress
+const Easing = {
+    linear: t => t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+};
+
+// Game-time scheduler for delayed calls, repeating calls and tweens.
+// It only advances when the game loop calls update(), so everything on it
+// freezes with the game and can be dropped in one go with clear().
+class Timeline {
+    constructor() {
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    // Run callback once after delay ms
+    after(delay, callback) {
+        return this.add({ delay, callback });
+    }
+
+    // Run callback every interval ms until cancelled
+    every(interval, callback) {
+        return this.add({ delay: interval, interval, callback });
+    }
+
+    // Call onUpdate(easedProgress, progress) every step for duration ms, then onComplete()
+    tween({ duration, easing = Easing.linear, onUpdate = () => {}, onComplete = () => {} }) {
+        return this.add({ duration, easing, onUpdate, onComplete });
+    }
+
+    add(entry) {
+        entry.id = this.nextId++;
+        entry.elapsed = 0;
+        entry.done = false;
+        this.entries.push(entry);
+        return entry.id;
+    }
+
+    cancel(id) {
+        const entry = this.entries.find(e => e.id === id);
+        if (entry) {
+            entry.done = true;
+        }
+    }
+
+    clear() {
+        this.entries.forEach(entry => {
+            entry.done = true;
+        });
+        this.entries = [];
+    }
+
+    update(deltaTime) {
+        // Walk a snapshot: callbacks may schedule, cancel or clear entries
+        this.entries.slice().forEach(entry => {
+            if (entry.done) return;
+            entry.elapsed += deltaTime;
+
+            if (entry.duration !== undefined) {
+                this.stepTween(entry);
+            } else {
+                this.stepTimer(entry);
+            }
+        });
+
+        this.entries = this.entries.filter(entry => !entry.done);
+    }
+
+    stepTimer(entry) {
+        if (entry.interval) {
+            while (entry.elapsed >= entry.interval && !entry.done) {
+                entry.elapsed -= entry.interval;
+                entry.callback();
+            }
+        } else if (entry.elapsed >= entry.delay) {
+            entry.done = true;
+            entry.callback();
+        }
+    }
+
+    stepTween(entry) {
+        const progress = entry.duration > 0 ? Math.min(1, entry.elapsed / entry.duration) : 1;
+        entry.onUpdate(entry.easing(progress), progress);
+
+        if (progress >= 1 && !entry.done) {
+            entry.done = true;
+            entry.onComplete();
+        }
+    }
+}
+
+// The simulation's timeline; test/helpers.js loads this in Node
+if (typeof module !== 'undefined') {
+    module.exports = { Easing, Timeline };
+}
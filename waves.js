@@ -0,0 +1,257 @@
+// Authored spawn patterns, played by the WaveScheduler alongside the random spawns, and the
+// boss-style events thrown at level milestones. New patterns and events are data only.
+//
+// A pattern is a grid: the playfield is split into `lanes` equal lanes and each row string drops
+// one row of food, `interval` ms after the row before. In a row, G is good food, B is bad food
+// and . is nothing; every row string is `lanes` long.
+//   rows     - the rows, top to bottom in the order they drop
+//   variants - instead of rows: several row lists, one picked at random each time it plays
+//   interval - ms between rows
+//   speed    - fall speed in pixels per second, before level and gameSpeed. The whole pattern
+//              falls at this speed so it keeps its shape (the food's own speed range is ignored)
+//   drift    - sideways speed in pixels per second; drifting food bounces off the edges
+//   mirror   - may be played flipped left to right
+//   high     - may drop high food, which only a jump catches; without it the pattern's food
+//              all stays in reach so it reads the way it's drawn
+//   minLevel - first level it turns up on at random (events can use any pattern)
+// Patterns with bad food are left out for characters and modes without any.
+const WavePatterns = {
+    zigZag: {
+        lanes: 8,
+        interval: 450,
+        speed: 200,
+        mirror: true,
+        minLevel: 1,
+        rows: [
+            'G.......',
+            '.G......',
+            '..G.....',
+            '...G....',
+            '....G...',
+            '.....G..',
+            '......G.',
+            '.......G',
+            '......G.',
+            '.....G..',
+            '....G...',
+            '...G....'
+        ]
+    },
+    foodRain: {
+        lanes: 8,
+        interval: 250,
+        speed: 260,
+        minLevel: 2,
+        rows: [
+            'G....G..',
+            '..G....G',
+            '.G..G...',
+            '...G..G.',
+            'G.....G.',
+            '..G.G...',
+            '.G....G.',
+            '....G..G'
+        ]
+    },
+    drift: {
+        lanes: 8,
+        interval: 500,
+        speed: 150,
+        drift: 140,
+        mirror: true,
+        minLevel: 2,
+        rows: [
+            'G.......',
+            'G.......',
+            'B.......',
+            'G.......',
+            'G.......'
+        ]
+    },
+    // A gap two lanes wide is the narrowest the player fits through
+    badWall: {
+        lanes: 8,
+        interval: 0,
+        speed: 170,
+        minLevel: 3,
+        variants: [
+            ['B..BBBBB'],
+            ['BB..BBBB'],
+            ['BBB..BBB'],
+            ['BBBB..BB'],
+            ['BBBBB..B']
+        ]
+    }
+};
+
+// Events, one every WAVE_EVENT_EVERY levels, taking turns in this order. While one plays the
+// random spawns and patterns stop; getting through it without a hit from its bad food, and
+// catching at least `catch` of its good food, clears it for a bonus.
+//   sequence - pattern ids, played back to back
+//   bonus    - points for clearing it, plus bonusPerLevel × the level it started on, counted no
+//              higher than food points count it (GameSimulation.scoringLevel)
+const WaveEvents = [
+    {
+        label: '🌧️ Food Storm',
+        sequence: ['foodRain', 'zigZag', 'foodRain'],
+        catch: 0.6,
+        bonus: 150,
+        bonusPerLevel: 10
+    },
+    {
+        label: '🧱 The Gauntlet',
+        sequence: ['badWall', 'drift', 'badWall', 'badWall'],
+        catch: 0.6,
+        bonus: 200,
+        bonusPerLevel: 20
+    }
+];
+
+const WAVE_EVENT_EVERY = 5; // levels between events
+const WAVE_QUIET_TIME = [12000, 20000]; // ms range of random spawning only between random patterns
+
+// Decides which pattern plays when and which rows are due. The simulation turns each drop it
+// hands back into food and reports back how that food ended (resolve), which is all an event
+// needs to know whether it was cleared.
+class WaveScheduler {
+    constructor(patterns = WavePatterns, events = WaveEvents) {
+        this.patterns = patterns;
+        this.events = events;
+        this.enabled = true; // off for replays recorded before waves existed
+        this.reset();
+    }
+
+    reset() {
+        this.queue = []; // { id, event } waiting to play, in order
+        this.current = null; // the pattern dropping rows
+        this.quietTime = null; // ms until the next random pattern, rolled when needed
+        this.event = null; // the event in progress
+        this.milestone = 0; // last milestone an event was thrown for
+    }
+
+    usable(id, hasBadFood) {
+        const pattern = this.patterns[id];
+        const rows = pattern.variants ? pattern.variants.flat() : pattern.rows;
+        return hasBadFood || !rows.some(row => row.includes('B'));
+    }
+
+    // Throw the event for the level's milestone, if it's reached one it hasn't had yet; its
+    // bonus grows with scoringLevel. Returns the event, or null.
+    startEvent(level, hasBadFood, scoringLevel = level) {
+        const milestone = Math.floor(level / WAVE_EVENT_EVERY);
+        if (milestone <= this.milestone || this.event) return null;
+        this.milestone = milestone;
+
+        const definition = this.events[(milestone - 1) % this.events.length];
+        const sequence = definition.sequence.filter(id => this.usable(id, hasBadFood));
+        if (sequence.length === 0) return null;
+
+        this.event = { definition, level, scoringLevel, patternsLeft: sequence.length, pending: 0, good: 0, caught: 0, hit: false };
+        this.queue = sequence.map(id => ({ id, event: this.event }));
+        return this.event;
+    }
+
+    // The event once all of its food is gone, or null while it's still playing
+    finishedEvent() {
+        const event = this.event;
+        if (!event || event.patternsLeft > 0 || event.pending > 0) return null;
+
+        this.event = null;
+        event.cleared = !event.hit && event.caught >= event.good * event.definition.catch;
+        event.bonus = event.cleared ? event.definition.bonus + event.definition.bonusPerLevel * event.scoringLevel : 0;
+        return event;
+    }
+
+    // The rows due this step, as drops for the simulation to spawn:
+    //   { x (lane centre, 0-1 across the playfield), bad, high, speed, drift, event }
+    update(deltaTime, level, random, hasBadFood) {
+        // Between patterns, count down to the next random one
+        if (!this.current && this.queue.length === 0 && !this.event) {
+            if (this.quietTime === null) {
+                this.quietTime = random.range(WAVE_QUIET_TIME[0], WAVE_QUIET_TIME[1]);
+            }
+            this.quietTime -= deltaTime;
+            if (this.quietTime <= 0) {
+                this.quietTime = null;
+                const ids = Object.keys(this.patterns).filter(id =>
+                    this.patterns[id].minLevel <= level && this.usable(id, hasBadFood));
+                if (ids.length > 0) {
+                    this.queue.push({ id: ids[Math.floor(random.next() * ids.length)], event: null });
+                }
+            }
+        }
+
+        if (!this.current && this.queue.length > 0) {
+            this.current = this.startPattern(this.queue.shift(), random);
+        }
+
+        const drops = [];
+        while (this.current && this.current.timer <= 0) {
+            drops.push(...this.dropRow(this.current));
+            this.current.row++;
+            this.current.timer += this.current.pattern.interval;
+
+            if (this.current.row >= this.current.rows.length) {
+                if (this.current.event) this.current.event.patternsLeft--;
+                this.current = null;
+            }
+        }
+        if (this.current) {
+            this.current.timer -= deltaTime;
+        }
+        return drops;
+    }
+
+    startPattern({ id, event }, random) {
+        const pattern = this.patterns[id];
+        const rows = pattern.variants
+            ? pattern.variants[Math.floor(random.next() * pattern.variants.length)]
+            : pattern.rows;
+        const flip = Boolean(pattern.mirror) && random.next() < 0.5;
+        return { id, pattern, rows, flip, event, row: 0, timer: 0 };
+    }
+
+    dropRow(playing) {
+        const { pattern, flip, event } = playing;
+        const drops = [];
+        Array.from(playing.rows[playing.row]).forEach((cell, lane) => {
+            if (cell !== 'G' && cell !== 'B') return;
+
+            const column = flip ? pattern.lanes - 1 - lane : lane;
+            drops.push({
+                x: (column + 0.5) / pattern.lanes,
+                bad: cell === 'B',
+                high: Boolean(pattern.high),
+                speed: pattern.speed,
+                drift: (pattern.drift || 0) * (flip ? -1 : 1),
+                event
+            });
+        });
+        return drops;
+    }
+
+    // A drop became food on the playfield; its event waits for it to be resolved
+    track(obj) {
+        const event = obj.waveEvent;
+        if (!event) return;
+
+        event.pending++;
+        if (obj.isGood) event.good++;
+    }
+
+    // How a pattern's food left the playfield: caught, missed, hit (the player), or gone (bad
+    // food that fell past, or a shield took it)
+    resolve(obj, outcome) {
+        const event = obj.waveEvent;
+        if (!event) return;
+
+        event.pending--;
+        if (outcome === 'caught') event.caught++;
+        if (outcome === 'hit') event.hit = true;
+    }
+}
+
+// The tests play patterns and events in Node too
+if (typeof module !== 'undefined') {
+    module.exports = { WavePatterns, WaveEvents, WaveScheduler, WAVE_EVENT_EVERY, WAVE_QUIET_TIME };
+}